@@ -0,0 +1,94 @@
+'use strict'
+
+import debug from 'debug'
+import { SIMULCAST_LAYERS, getEncodingLayerNames } from './simulcast'
+
+const warn = debug('Lightstream:WebRTC:Bandwidth (Warn)')
+
+// Higher priority media are given their full bitrate first
+const PRIORITIES = {
+  microphone: 3,
+  audio: 3,
+  audioFeed: 3,
+  screen: 2,
+  videoFeed: 1,
+  webcam: 1,
+}
+
+// The bitrates (bps) between which each type of media remains usable
+const BITRATE_LIMITS = {
+  microphone: { min: 24 * 1000, max: 128 * 1000 },
+  audio: { min: 24 * 1000, max: 128 * 1000 },
+  audioFeed: { min: 24 * 1000, max: 128 * 1000 },
+  screen: { min: 150 * 1000, max: 2500 * 1000 },
+  videoFeed: { min: 100 * 1000, max: 2500 * 1000 },
+  webcam: { min: 100 * 1000, max: 1500 * 1000 },
+}
+
+/**
+  Spreads a total bitrate across media by priority.
+  Every media is first given its minimum (while the budget allows), then the remainder
+  is given out in priority order, up to each media's maximum.
+  `items` are { id, type, min?, max? }. Returns a Map of id => bitrate.
+*/
+const allocateBitrates = (items = [], budget) => {
+  const sorted = [...items]
+    .map((x) => ({ ...BITRATE_LIMITS[x.type], ...x }))
+    .sort((a, b) => (PRIORITIES[b.type] || 0) - (PRIORITIES[a.type] || 0))
+  const result = new Map()
+  let remaining = budget
+
+  sorted.forEach((x) => {
+    const bitrate = Math.min(x.min, remaining)
+    result.set(x.id, bitrate)
+    remaining -= bitrate
+  })
+  sorted.forEach((x) => {
+    const extra = Math.min(x.max - result.get(x.id), remaining)
+    result.set(x.id, result.get(x.id) + extra)
+    remaining -= extra
+  })
+  return result
+}
+
+/**
+  Limits an RTCRtpSender to a bitrate, or removes the limit if the bitrate is undefined.
+  Simulcast layers keep their own limits, and the highest layers are disabled
+  once the bitrate cannot cover them (the lowest layer is always sent).
+*/
+const applyMaxBitrate = async (sender, bitrate, layers) => {
+  if (!sender || !sender.getParameters) return
+  const parameters = sender.getParameters()
+  const { encodings = [] } = parameters
+  if (encodings.length === 0) return
+
+  if (encodings.length === 1 || !layers) {
+    encodings.forEach((x) => {
+      if (bitrate === undefined) delete x.maxBitrate
+      else x.maxBitrate = bitrate
+    })
+  } else {
+    const names = getEncodingLayerNames(encodings, layers)
+    const order = (x) => SIMULCAST_LAYERS.indexOf(x.name)
+    const byLayer = encodings
+      .map((encoding, i) => ({ encoding, name: names[i] }))
+      .sort((a, b) => order(a) - order(b))
+    let remaining = bitrate === undefined ? Infinity : bitrate
+    byLayer.forEach(({ encoding, name }, i) => {
+      const layerBitrate = (layers[name] && layers[name].maxBitrate) || Infinity
+      encoding.active = i === 0 || remaining >= layerBitrate
+      const limit = Math.min(layerBitrate, Math.max(remaining, 0))
+      if (Number.isFinite(limit)) encoding.maxBitrate = limit
+      else delete encoding.maxBitrate
+      if (encoding.active) remaining -= limit
+    })
+  }
+
+  try {
+    await sender.setParameters({ ...parameters, encodings })
+  } catch (e) {
+    warn('Failed to apply max bitrate', e)
+  }
+}
+
+export { PRIORITIES, BITRATE_LIMITS, allocateBitrates, applyMaxBitrate }
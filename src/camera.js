@@ -0,0 +1,152 @@
+'use strict'
+
+import State from 'ampersand-state'
+import Observable from './_observable'
+import debug from 'debug'
+import { pick } from 'lodash/fp'
+
+const log = debug('Lightstream:WebRTC:Camera')
+const warn = debug('Lightstream:WebRTC:Camera (Warn)')
+
+// Supported controls, by how their capabilities are described
+const CONTROLS = {
+  zoom: 'range',
+  pan: 'range',
+  tilt: 'range',
+  focusMode: 'mode',
+  focusDistance: 'range',
+  exposureMode: 'mode',
+  exposureCompensation: 'range',
+  exposureTime: 'range',
+  whiteBalanceMode: 'mode',
+  colorTemperature: 'range',
+  torch: 'boolean',
+}
+
+// Manual values only take effect while their mode is 'manual'
+const MANUAL_MODES = {
+  focusDistance: 'focusMode',
+  exposureTime: 'exposureMode',
+  colorTemperature: 'whiteBalanceMode',
+}
+
+/**
+  CameraControls exposes the image controls of a live webcam track.
+  Current values are props, so they may be observed with `streamOfProperty()`.
+  Values should be changed with `setControl()`, which validates them against the track capabilities.
+*/
+const CameraControls = State.extend(Observable).extend({
+  props: {
+    track: 'object', // MediaStreamTrack
+    sentTrack: 'object', // A producer's clone of `track`, which is kept in step with it
+    capabilities: ['object', true, () => ({})], // Capabilities of the supported controls only
+    zoom: 'number',
+    pan: 'number',
+    tilt: 'number',
+    focusMode: 'string',
+    focusDistance: 'number',
+    exposureMode: 'string',
+    exposureCompensation: 'number',
+    exposureTime: 'number',
+    whiteBalanceMode: 'string',
+    colorTemperature: 'number',
+    torch: 'boolean',
+  },
+  initialize() {
+    // Values requested by the user, which are restored when the track changes
+    this.requested = {}
+  },
+  async bindTrack(track) {
+    this.track = track || null
+    this.refresh()
+    if (!this.track) return
+
+    const restorable = pick(
+      Object.keys(this.requested).filter((x) => this.isSupported(x)),
+    )(this.requested)
+    if (Object.keys(restorable).length === 0) return
+    try {
+      await this.applyConstraints({ advanced: [restorable] })
+    } catch (e) {
+      warn('Failed to restore camera controls', e)
+    }
+    this.refresh()
+  },
+  refresh() {
+    const track = this.track
+    const capabilities =
+      track && track.getCapabilities ? track.getCapabilities() : {}
+    const settings = track && track.getSettings ? track.getSettings() : {}
+    const controls = Object.keys(CONTROLS)
+    const values = controls.reduce(
+      (acc, x) => ({ ...acc, [x]: settings[x] }),
+      {},
+    )
+    this.set({ capabilities: pick(controls)(capabilities), ...values })
+  },
+  isSupported(name) {
+    return this.capabilities[name] !== undefined
+  },
+  validate(name, value) {
+    const capability = this.capabilities[name]
+    switch (CONTROLS[name]) {
+      case 'range': {
+        const { min = -Infinity, max = Infinity, step } = capability
+        let result = Math.min(Math.max(Number(value), min), max)
+        if (step) result = min + Math.round((result - min) / step) * step
+        return result
+      }
+      case 'mode': {
+        if (!capability.includes(value)) {
+          throw new Error(`Camera ${name} "${value}" is not supported`)
+        }
+        return value
+      }
+      default:
+        return Boolean(value)
+    }
+  },
+  async setControl(name, value) {
+    if (!CONTROLS[name]) throw new Error(`Unknown camera control "${name}"`)
+    if (!this.track || this.track.readyState !== 'live') {
+      throw new Error('Cannot set a camera control without a live track')
+    }
+    if (!this.isSupported(name)) {
+      throw new Error(`Camera control "${name}" is not supported by device`)
+    }
+    const constraints = { [name]: this.validate(name, value) }
+
+    // Switch to manual mode where required
+    const modeName = MANUAL_MODES[name]
+    const modes = this.capabilities[modeName]
+    if (modes && modes.includes('manual')) {
+      constraints[modeName] = 'manual'
+    }
+
+    log('setControl()', constraints)
+    Object.assign(this.requested, constraints)
+    await this.applyConstraints({ advanced: [constraints] })
+    this.refresh()
+    return this[name]
+  },
+  async applyConstraints(constraints) {
+    await this.track.applyConstraints(constraints)
+    await this.applySentConstraints(constraints)
+  },
+  async applySentConstraints(constraints) {
+    // Clones don't follow constraints applied to the original
+    const { sentTrack } = this
+    if (!sentTrack || sentTrack === this.track) return
+    if (sentTrack.readyState !== 'live') return
+    try {
+      await sentTrack.applyConstraints(constraints)
+    } catch (e) {
+      warn('Failed to apply constraints to sent track', e)
+    }
+  },
+  reset() {
+    this.requested = {}
+  },
+})
+
+export { CameraControls, CONTROLS as CAMERA_CONTROLS }
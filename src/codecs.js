@@ -0,0 +1,162 @@
+'use strict'
+
+import debug from 'debug'
+import { getPeerConnection } from './stats'
+
+const log = debug('Lightstream:WebRTC:Codecs')
+const warn = debug('Lightstream:WebRTC:Codecs (Warn)')
+
+const VIDEO_CODECS = ['VP8', 'VP9', 'H264']
+
+// Applied to every Opus stream (a longer packet time saves bandwidth for speech)
+const DEFAULT_OPUS = { ptime: 40 }
+
+// Negotiated for high fidelity microphones, which are usually music
+const HIGH_FIDELITY_OPUS = {
+  stereo: true,
+  dtx: false,
+  fec: true,
+  maxAverageBitrate: 256 * 1000,
+  ptime: 20,
+}
+
+const isOpus = (codec) => codec.name.toLowerCase() === 'opus'
+
+/**
+  Converts Opus options to fmtp parameters.
+  stereo/dtx/fec: boolean, maxAverageBitrate: bps, ptime: ms per packet
+*/
+const toOpusParameters = (options = {}) => {
+  const { stereo, dtx, fec, maxAverageBitrate, ptime } = options
+  const parameters = {}
+  if (stereo !== undefined) {
+    parameters.stereo = Number(stereo)
+    parameters['sprop-stereo'] = Number(stereo)
+  }
+  if (dtx !== undefined) parameters.usedtx = Number(dtx)
+  if (fec !== undefined) parameters.useinbandfec = Number(fec)
+  if (maxAverageBitrate) parameters.maxaveragebitrate = maxAverageBitrate
+  if (ptime) {
+    parameters.minptime = ptime
+    parameters.ptime = ptime
+  }
+  return parameters
+}
+
+/**
+  Applies room codec options to the capabilities negotiated with the media server.
+  Must run before transports are created, since they copy the capabilities.
+*/
+const applyCodecOptions = (extendedRtpCapabilities, options = {}) => {
+  const { codecs } = extendedRtpCapabilities
+  const { video, opus } = options
+
+  if (video) {
+    const name = video.toUpperCase()
+    const isPreferred = (x) =>
+      x.kind === 'video' && x.name.toUpperCase() === name ? 1 : 0
+    if (!VIDEO_CODECS.includes(name) || !codecs.some(isPreferred)) {
+      warn('Preferred video codec is not supported', { video })
+    } else {
+      // mediasoup sends the first matching codec
+      codecs.sort((a, b) => isPreferred(b) - isPreferred(a))
+    }
+  }
+
+  codecs.filter(isOpus).forEach((x) => {
+    x.parameters = {
+      ...x.parameters,
+      ...toOpusParameters({ ...DEFAULT_OPUS, ...opus }),
+    }
+  })
+  log('applyCodecOptions()', { options })
+}
+
+const parseFmtp = (config = '') =>
+  config
+    .split(';')
+    .filter(Boolean)
+    .reduce((acc, x) => {
+      const [key, value] = x.split('=')
+      return { ...acc, [key.trim()]: value }
+    }, {})
+
+/**
+  Sets Opus fmtp parameters in an SDP for the media sections identified by `parametersByMid`.
+  A sender encodes according to the parameters of the remote description.
+*/
+const setOpusParameters = (sdp, parametersByMid = {}) =>
+  sdp
+    .split(/\r\n(?=m=)/)
+    .map((section) => {
+      const mid = (section.match(/^a=mid:(\S+)/m) || [])[1]
+      const parameters = parametersByMid[mid]
+      const payload = (section.match(/^a=rtpmap:(\d+) opus\//im) || [])[1]
+      if (!parameters || !payload) return section
+
+      const fmtp = new RegExp(`^a=fmtp:${payload} (.*)$`, 'm')
+      const current = (section.match(fmtp) || [])[1]
+      const merged = { ...parseFmtp(current), ...parameters }
+      const line = `a=fmtp:${payload} ${Object.keys(merged)
+        .map((x) => `${x}=${merged[x]}`)
+        .join(';')}`
+      if (current !== undefined) return section.replace(fmtp, line)
+      return section.replace(
+        new RegExp(`^(a=rtpmap:${payload} .*)$`, 'm'),
+        `$1\r\n${line}`,
+      )
+    })
+    .join('\r\n')
+
+/**
+  Lets each sent track negotiate its own Opus parameters.
+  mediasoup answers with the same parameters for every track of a kind,
+  so the answer is amended for each track which `getParameters(track)` returns parameters for.
+  Only unified plan handlers (with transceivers) are supported.
+*/
+const patchSendTransport = (transport, getParameters) => {
+  const handler = transport && transport._handler
+  const remoteSdp = handler && handler._remoteSdp
+  const pc = getPeerConnection(transport)
+  if (!remoteSdp || !pc || !pc.getTransceivers) return
+
+  const createAnswerSdp = remoteSdp.createAnswerSdp.bind(remoteSdp)
+  remoteSdp.createAnswerSdp = (...args) => {
+    const sdp = createAnswerSdp(...args)
+    try {
+      const parametersByMid = pc.getTransceivers().reduce((acc, x) => {
+        const parameters =
+          x.mid && x.sender.track && getParameters(x.sender.track)
+        return parameters ? { ...acc, [x.mid]: parameters } : acc
+      }, {})
+      return setOpusParameters(sdp, parametersByMid)
+    } catch (e) {
+      warn('Failed to set Opus parameters', e)
+      return sdp
+    }
+  }
+}
+
+// Received Opus is decoded in stereo, so high fidelity senders are heard as intended (mono is unaffected)
+const enableStereoReceive = (transport) => {
+  const handler = transport && transport._handler
+  const audio =
+    handler &&
+    handler._rtpParametersByKind &&
+    handler._rtpParametersByKind.audio
+  if (!audio) return
+  audio.codecs.filter(isOpus).forEach((x) => {
+    x.parameters = { ...x.parameters, stereo: 1 }
+  })
+}
+
+export {
+  VIDEO_CODECS,
+  DEFAULT_OPUS,
+  HIGH_FIDELITY_OPUS,
+  toOpusParameters,
+  applyCodecOptions,
+  setOpusParameters,
+  patchSendTransport,
+  enableStereoReceive,
+}
@@ -1,14 +1,23 @@
 'use strict'
 
 import State from 'ampersand-state'
-import { extend, capitalize } from 'lodash/fp'
+import debug from 'debug'
+import { capitalize } from 'lodash/fp'
+import { toMediaError } from './errors'
+
+const warn = debug('Lightstream:WebRTC:Device (Warn)')
 
 const DeviceModel = State.extend({
+  // Landscape dimensions - portrait profiles swap width and height
   resolutions: {
     qvga: { width: { ideal: 320 }, height: { ideal: 240 } },
     vga: { width: { ideal: 640 }, height: { ideal: 480 } },
     hd: { width: { ideal: 1280 }, height: { ideal: 720 } },
+    fhd: { width: { ideal: 1920 }, height: { ideal: 1080 } },
+    qhd: { width: { ideal: 2560 }, height: { ideal: 1440 } },
+    uhd: { width: { ideal: 3840 }, height: { ideal: 2160 } },
   },
+  frameRates: [15, 24, 30, 60],
   props: {
     id: 'string',
     kind: 'string',
@@ -16,12 +25,46 @@ const DeviceModel = State.extend({
     deviceId: 'string',
     groupId: 'string',
     resolution: ['string', true, 'hd'],
+    frameRate: 'number', // Ideal frame rate (browser default if unset)
+    orientation: {
+      type: 'string',
+      required: true,
+      default: 'landscape',
+      values: ['landscape', 'portrait'],
+    },
     label: 'string',
     track: 'object',
     webrtc: 'state',
     isHighFidelity: ['boolean', true, false],
+    ptz: ['boolean', true, false], // Request pan/tilt/zoom access (may prompt the user)
+    capabilities: 'object', // MediaStreamTrack.getCapabilities() of the latest track
+    settings: 'object', // MediaStreamTrack.getSettings() of the latest track
   },
   derived: {
+    // Resolution profiles supported by the device (null until capabilities are known)
+    supportedResolutions: {
+      deps: ['capabilities'],
+      fn() {
+        const { width, height } = this.capabilities || {}
+        if (!width || !height) return null
+        return Object.keys(this.resolutions).filter((key) => {
+          const profile = this.resolutions[key]
+          return (
+            width.max >= profile.width.ideal &&
+            height.max >= profile.height.ideal
+          )
+        })
+      },
+    },
+    // Frame rate targets supported by the device (null until capabilities are known)
+    supportedFrameRates: {
+      deps: ['capabilities'],
+      fn() {
+        const { frameRate } = this.capabilities || {}
+        if (!frameRate) return null
+        return this.frameRates.filter((x) => frameRate.max >= x)
+      },
+    },
     displayName: {
       deps: ['label', 'deviceId', 'type'],
       fn() {
@@ -53,19 +96,109 @@ const DeviceModel = State.extend({
         this.gettingTrack = this._getTrackWebcam()
       }
     }
-    return this.gettingTrack.then((track) => {
-      this.gettingTrack = null
-      this.track = track
-      return track
-    })
+    return this.gettingTrack.then(
+      (track) => {
+        this.gettingTrack = null
+        this.track = track
+        return track
+      },
+      (e) => {
+        this.gettingTrack = null
+        throw toMediaError(e, { device: this })
+      },
+    )
+  },
+  getVideoConstraints() {
+    const { width, height } =
+      this.resolutions[this.resolution] || this.resolutions.hd
+    const isPortrait = this.orientation === 'portrait'
+    const constraints = {
+      width: isPortrait ? height : width,
+      height: isPortrait ? width : height,
+      aspectRatio: {
+        ideal: isPortrait
+          ? height.ideal / width.ideal
+          : width.ideal / height.ideal,
+      },
+    }
+    if (this.frameRate) {
+      constraints.frameRate = { ideal: this.frameRate }
+    }
+    if (this.ptz) {
+      Object.assign(constraints, { pan: true, tilt: true, zoom: true })
+    }
+    return constraints
   },
   async _getTrackWebcam() {
     const stream = await this.webrtc.getUserMedia({
-      video: extend({ deviceId: { exact: this.deviceId } })(
-        this.resolutions[this.resolution],
-      ),
+      video: {
+        deviceId: { exact: this.deviceId },
+        ...this.getVideoConstraints(),
+      },
+    })
+    const track = stream.getVideoTracks()[0]
+    if (track) this.updateCapabilities(track)
+    return track
+  },
+  updateCapabilities(track) {
+    // Record what the device can do and what was actually applied
+    this.set({
+      capabilities: track.getCapabilities ? track.getCapabilities() : {},
+      settings: track.getSettings ? track.getSettings() : {},
+    })
+  },
+  getBestResolution(resolution) {
+    // Returns the requested profile, or the largest supported profile below it
+    const supported = this.supportedResolutions
+    if (!supported || supported.includes(resolution)) return resolution
+    const keys = Object.keys(this.resolutions)
+    return (
+      keys
+        .slice(0, keys.indexOf(resolution) + 1)
+        .reverse()
+        .find((x) => supported.includes(x)) || keys[0]
+    )
+  },
+  getBestFrameRate(frameRate) {
+    // Returns the requested rate, limited to the range the device reports
+    const range = (this.capabilities || {}).frameRate
+    if (!frameRate || !range) return frameRate
+    if (range.max && frameRate > range.max) return range.max
+    if (range.min && frameRate < range.min) return range.min
+    return frameRate
+  },
+  async setProfile({ resolution, frameRate, orientation } = {}) {
+    // Validates a camera profile against the device capabilities and applies it to any live track
+    if (this.kind !== 'videoinput') return null
+    if (resolution && !this.resolutions[resolution]) {
+      throw new Error(`Unknown resolution profile "${resolution}"`)
+    }
+    const bestFrameRate = this.getBestFrameRate(frameRate)
+    if (bestFrameRate !== frameRate) {
+      warn('Frame rate is not supported by device', { frameRate })
+      frameRate = bestFrameRate
+    }
+    this.set({
+      resolution: resolution
+        ? this.getBestResolution(resolution)
+        : this.resolution,
+      frameRate: frameRate || this.frameRate,
+      orientation: orientation || this.orientation,
     })
-    return stream.getVideoTracks()[0]
+
+    if (this.track && this.track.readyState === 'live') {
+      const constraints = this.getVideoConstraints()
+      try {
+        await this.track.applyConstraints(constraints)
+      } catch (e) {
+        warn('Failed to apply camera profile', e)
+      }
+      this.updateCapabilities(this.track)
+
+      // Media sending this track apply the profile to their producer's clone
+      this.trigger('profile', this, constraints)
+    }
+    return this.settings
   },
   async _getTrackMicrophone() {
     let constraints = {
@@ -0,0 +1,80 @@
+'use strict'
+
+/**
+  Errors raised while acquiring a MediaStreamTrack.
+  Each carries the `device` (DeviceModel, if known) and `constraints` involved,
+  along with the original browser error as `cause`.
+*/
+class MediaAcquisitionError extends Error {
+  constructor(message, { device, constraints, cause } = {}) {
+    super(message || (cause && cause.message) || 'Failed to acquire media')
+    this.device = device
+    this.constraints = constraints
+    this.cause = cause
+  }
+}
+
+class MediaTimeoutError extends MediaAcquisitionError {}
+class DeviceInUseError extends MediaAcquisitionError {}
+class DeviceNotFoundError extends MediaAcquisitionError {}
+class DeviceOverconstrainedError extends MediaAcquisitionError {
+  constructor(message, options = {}) {
+    super(message, options)
+    // The constraint which could not be satisfied, e.g. 'width'
+    this.constraint = options.cause && options.cause.constraint
+  }
+}
+class PermissionDeniedError extends MediaAcquisitionError {}
+class HardwareError extends MediaAcquisitionError {}
+
+// Class names are mangled by minification, so names are assigned explicitly
+Object.entries({
+  MediaAcquisitionError,
+  MediaTimeoutError,
+  DeviceInUseError,
+  DeviceNotFoundError,
+  DeviceOverconstrainedError,
+  PermissionDeniedError,
+  HardwareError,
+}).forEach(([name, ErrorClass]) => (ErrorClass.prototype.name = name))
+
+// Browser error names (including legacy Chrome names) mapped to our errors
+const ERROR_NAMES = {
+  NotAllowedError: PermissionDeniedError,
+  PermissionDeniedError: PermissionDeniedError,
+  SecurityError: PermissionDeniedError,
+  NotFoundError: DeviceNotFoundError,
+  DevicesNotFoundError: DeviceNotFoundError,
+  NotReadableError: DeviceInUseError,
+  TrackStartError: DeviceInUseError,
+  OverconstrainedError: DeviceOverconstrainedError,
+  ConstraintNotSatisfiedError: DeviceOverconstrainedError,
+  AbortError: HardwareError,
+}
+
+// Converts any error thrown by getUserMedia() or getDisplayMedia() into a MediaAcquisitionError
+const toMediaError = (error, { device, constraints } = {}) => {
+  if (error instanceof MediaAcquisitionError) {
+    // Fill in any context that was unknown when the error was created
+    error.device = error.device || device
+    error.constraints = error.constraints || constraints
+    return error
+  }
+  const ErrorClass = (error && ERROR_NAMES[error.name]) || MediaAcquisitionError
+  return new ErrorClass(error && error.message, {
+    device,
+    constraints,
+    cause: error,
+  })
+}
+
+export {
+  MediaAcquisitionError,
+  MediaTimeoutError,
+  DeviceInUseError,
+  DeviceNotFoundError,
+  DeviceOverconstrainedError,
+  PermissionDeniedError,
+  HardwareError,
+  toMediaError,
+}
@@ -0,0 +1,117 @@
+'use strict'
+
+import State from 'ampersand-state'
+import Observable from './_observable'
+import debug from 'debug'
+
+const log = debug('Lightstream:WebRTC:ICE')
+const warn = debug('Lightstream:WebRTC:ICE (Warn)')
+
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }]
+
+/**
+  An IceServerProvider supplies the STUN/TURN servers used by every transport.
+  Without a `url` (or a custom `fetchServers()`), the public Google STUN server is used.
+  The endpoint should respond with `{ iceServers, ttl }` (ttl in seconds) or `{ iceServers, expiresAt }`.
+  Credentials are refreshed `refreshMargin` ms before they expire.
+*/
+const IceServerProvider = State.extend(Observable).extend({
+  props: {
+    url: 'string',
+    headers: ['object', true, () => ({})],
+    servers: ['array', true, () => DEFAULT_ICE_SERVERS],
+    expiresAt: 'number', // Epoch (ms) at which the current credentials expire
+    refreshMargin: ['number', true, 60 * 1000],
+    retryInterval: ['number', true, 10 * 1000],
+    requestTimeout: ['number', true, 10 * 1000], // ms before a request to `url` is aborted
+    isRefreshing: ['boolean', true, false],
+  },
+  initialize(options = {}) {
+    if (typeof options.fetchServers === 'function') {
+      this.fetchServers = options.fetchServers
+    }
+  },
+  async fetchServers(device) {
+    // Override (or supply `url`) to use custom TURN credentials
+    if (!this.url) return { iceServers: DEFAULT_ICE_SERVERS }
+
+    // A hung endpoint would otherwise hold up joining rooms
+    const controller =
+      typeof AbortController === 'function' ? new AbortController() : null
+    const timeout = window.setTimeout(
+      () => controller && controller.abort(),
+      this.requestTimeout,
+    )
+    try {
+      const response = await fetch(this.url, {
+        headers: new Headers(this.headers),
+        signal: controller ? controller.signal : undefined,
+      })
+      if (!response.ok) {
+        const err = new Error(
+          `ICE server request failed with status ${response.status}`,
+        )
+        err.name = 'IceServerRequestFailed'
+        throw err
+      }
+      return await response.json()
+    } finally {
+      window.clearTimeout(timeout)
+    }
+  },
+  async refresh(device) {
+    if (device) this.device = device
+    if (this.refreshing) return this.refreshing
+
+    window.clearTimeout(this.refreshTimeout)
+    this.isRefreshing = true
+    this.refreshing = Promise.resolve()
+      .then(() => this.fetchServers(this.device))
+      .then((result = {}) => {
+        const iceServers = Array.isArray(result) ? result : result.iceServers
+        if (!iceServers || iceServers.length === 0) {
+          throw new Error('ICE server response did not include any servers')
+        }
+        log('Received ICE servers', { count: iceServers.length })
+        this.set({
+          servers: iceServers,
+          expiresAt: getExpiry(result),
+        })
+        this.scheduleRefresh()
+      })
+      .catch((e) => {
+        // Keep the existing servers and try again shortly
+        warn('Failed to refresh ICE servers', e)
+        this.trigger('error', e)
+        this.scheduleRefresh(this.retryInterval)
+      })
+      .then(() => {
+        this.isRefreshing = false
+        this.refreshing = null
+        return this.servers
+      })
+    return this.refreshing
+  },
+  scheduleRefresh(delay) {
+    window.clearTimeout(this.refreshTimeout)
+    if (delay === undefined) {
+      if (!this.expiresAt) return
+      delay = Math.max(this.expiresAt - Date.now() - this.refreshMargin, 0)
+    }
+    this.refreshTimeout = window.setTimeout(() => this.refresh(), delay)
+  },
+  isExpired() {
+    return Boolean(this.expiresAt) && this.expiresAt <= Date.now()
+  },
+  stop() {
+    window.clearTimeout(this.refreshTimeout)
+  },
+})
+
+function getExpiry({ ttl, expiresAt } = {}) {
+  if (expiresAt) return new Date(expiresAt).getTime()
+  if (ttl) return Date.now() + ttl * 1000
+  return undefined
+}
+
+export { IceServerProvider, DEFAULT_ICE_SERVERS }
@@ -5,18 +5,34 @@ import Collection from 'ampersand-rest-collection'
 import Observable from './_observable'
 import debug from 'debug'
 import { pick } from 'ramda'
+import { DeviceNotFoundError, toMediaError } from './errors'
+import { CameraControls } from './camera'
+import VoiceActivityDetector from './vad'
+import {
+  MediaStats,
+  getPeerConnection,
+  normalizeRtcStats,
+  normalizeServerStats,
+} from './stats'
+import {
+  getSimulcastLayers,
+  toProducerSimulcast,
+  applySimulcastEncodings,
+} from './simulcast'
+import { DEFAULT_OPUS, HIGH_FIDELITY_OPUS, toOpusParameters } from './codecs'
+import { applyMaxBitrate } from './bandwidth'
 
 const log = debug('Lightstream:WebRTC:Media')
 const warn = debug('Lightstream:WebRTC:Media (Warn)')
 
-// Force mediasoup to use the same track
-MediaStreamTrack.prototype.clone = null
-
 /**
   A Media is an interface for an active MediaStreamTrack.
   This track may come from a local getUserMedia(), or a remote peer's feed.
   Media.type = 'screen' | 'audio' | 'webcam' | 'microphone' | 'audioFeed' | 'videoFeed'
 */
+const AUDIO_TYPES = ['microphone', 'audio', 'audioFeed']
+const VAD_DEPENDANT_ID = 'VoiceActivityDetection'
+
 const STATE = {
   preparing: 'preparing',
   local: 'local',
@@ -25,6 +41,17 @@ const STATE = {
   paused: 'paused',
   inactive: 'inactive',
 }
+
+// The states each state may move to
+const TRANSITIONS = {
+  preparing: [STATE.local, STATE.activating, STATE.inactive],
+  local: [STATE.activating, STATE.inactive],
+  activating: [STATE.active, STATE.paused, STATE.local, STATE.inactive],
+  active: [STATE.activating, STATE.paused, STATE.local, STATE.inactive],
+  paused: [STATE.active, STATE.local, STATE.inactive],
+  inactive: [STATE.preparing, STATE.local, STATE.activating],
+}
+const STATE_HISTORY_SIZE = 50
 const Media = State.extend(Observable).extend({
   props: {
     id: 'any',
@@ -44,18 +71,38 @@ const Media = State.extend(Observable).extend({
     isRemote: ['boolean', true, false],
     locallyPaused: ['boolean', true, false],
     remotelyPaused: ['boolean', true, false],
-    simulcast: ['boolean', true, true],
+    simulcast: 'any', // Layers overriding the room's settings for this media type, or true/false
+    // Overrides the room's Opus options ({ opus: {...} }).
+    //  The video codec is negotiated once per transport, so it can only be chosen for the room.
+    codecOptions: ['object', true, () => ({})],
+    maxBitrate: 'number', // Assigned by the room's send bandwidth budget
     isMuted: ['boolean', true, false],
     level: ['number', true, 0.8],
     dependants: ['object', true, () => new Set()],
     audioDependants: ['object', true, () => new Set()],
     isHighFidelity: ['boolean', true, false],
+    facing: 'string', // 'front' | 'back' for webcams
+    // The simulcast layer to receive. 'auto' lets the room choose from the rendered size and downlink
+    preferredProfile: {
+      type: 'string',
+      required: true,
+      default: 'default',
+      values: ['default', 'low', 'medium', 'high', 'auto'],
+    },
+    isSpeaking: ['boolean', true, false],
+  },
+  session: {
+    stateHistory: ['array', true, () => []], // { previous, next, reason, timestamp }
+  },
+  children: {
+    stats: MediaStats,
   },
   initialize(options = {}) {
     this.track = this.track instanceof MediaStreamTrack ? this.track : null
-    this.state = STATE.preparing
+    this.transition(STATE.preparing, 'Created')
     this.room = options.room
     this.isRemote = Boolean(this.consumer)
+    if (this.track && !this.isRemote) this.acquireTrack(this.track)
     const mediasoupRoom = this.room.mediasoupRoom
     this.triggerUpdate = () =>
       this.room.trigger(
@@ -64,6 +111,7 @@ const Media = State.extend(Observable).extend({
       )
     this.createProducer = mediasoupRoom.createProducer.bind(mediasoupRoom)
     this.audioLevel = 0 // Seed this continuous value with an initial state
+    this.audioPeak = 0
 
     if (this.producer) {
       this.logEvent('ProducerMediaAdded')
@@ -71,28 +119,38 @@ const Media = State.extend(Observable).extend({
       this.logEvent('ConsumerMediaAdded')
     }
 
-    // Initialize Web Audio API hooks for audioAnalyser
-    if (
-      this.type === 'microphone' ||
-      this.type === 'audio' ||
-      this.type === 'audioFeed'
-    ) {
-      this.audioAnalyser = this.manager.audioCtx.createAnalyser()
-
-      // Wait for user interaction
-      if (this.manager.audioCtx.state === 'suspended') {
-        document.addEventListener(
-          'click',
-          () => {
-            this.manager.audioCtx.resume()
-          },
-          { once: true },
-        )
-      }
+    if (AUDIO_TYPES.includes(this.type)) {
+      this.listenToAndRun(this.room, 'change:detectVoiceActivity', () => {
+        if (this.room.detectVoiceActivity) {
+          this.enableVoiceActivity()
+        } else {
+          this.disableVoiceActivity()
+        }
+      })
+    }
+
+    // Detect when the user speaks into a muted microphone
+    if (this.type === 'microphone' && !this.isRemote) {
+      const update = () => this.updateMutedSpeechDetection()
+      this.on('change:locallyPaused change:isMuted change:track', update)
+      this.listenToAndRun(this.room, 'change:detectMutedSpeech', update)
+    }
+
+    // Expose image controls for local webcams
+    if (this.type === 'webcam' && !this.isRemote) {
+      this.camera = new CameraControls()
+      this.listenToAndRun(this, 'change:track', () =>
+        this.camera.bindTrack(this.track),
+      )
+      this.listenTo(this.manager.webcams, 'profile', (device, constraints) => {
+        if (device.track === this.track) {
+          this.camera.applySentConstraints(constraints)
+        }
+      })
     }
 
     if (!this.isRemote) {
-      // Listen for changes to device collection and close if it's no longer available
+      // Listen for changes to device collection and fail over (or close) if it's no longer available
       const collection = this.type === 'webcam' ? 'webcams' : 'microphones'
       this.listenTo(this.manager[collection], 'remove reset', () => {
         const device = this.manager.getDeviceByIdAndType(
@@ -100,7 +158,7 @@ const Media = State.extend(Observable).extend({
           this.type,
         )
         if (!device) {
-          return this.close()
+          return this.canFailover() ? this.failover() : this.close()
         }
       })
     }
@@ -112,6 +170,10 @@ const Media = State.extend(Observable).extend({
         this.disableStats()
       }
     })
+    // Stats collection stops when closed, and resumes if we're activated again
+    this.on('change:state', () => {
+      if (this.state === STATE.active) this.startStatsCollection()
+    })
 
     this.on('change:state', async () => {
       log('Media state: ' + this.state + '...', this.id)
@@ -121,13 +183,83 @@ const Media = State.extend(Observable).extend({
         this.logEvent('ConsumerMediaStateChanged:' + this.state)
       }
     })
+    this.on('change:preferredProfile', this.applyPreferredProfile)
     this.on('change:track', () => {
       if (this.track) {
         this.activate()
       }
+      this.updateAudioLevelsTrack()
       this.triggerUpdate()
     })
   },
+  updateAudioLevelsTrack() {
+    // Keep measuring the current track while audio levels are in use
+    if (this.audioDependants.size === 0) return
+    if (!this.track) {
+      if (this.vad) this.vad.reset()
+      return this.updateSourceForAudioLevels(null)
+    }
+    const src = this.audioSrcObject
+    if (!src || !src.getTracks().includes(this.track)) {
+      this.updateSourceForAudioLevels(new MediaStream([this.track]))
+    }
+  },
+  enableVoiceActivity() {
+    if (this.vad) return this.vad
+    this.vad = new VoiceActivityDetector(this.room.voiceActivity)
+    this.listenTo(this.room, 'change:voiceActivity', () =>
+      this.vad.set(this.room.voiceActivity),
+    )
+    this.listenTo(this.vad, 'change:isSpeaking', () => {
+      this.isSpeaking = this.vad.isSpeaking
+      this.trigger(this.isSpeaking ? 'speaking:start' : 'speaking:stop', this)
+    })
+    this.useAudioLevels(VAD_DEPENDANT_ID)
+    return this.vad
+  },
+  updateMutedSpeechDetection() {
+    const isMuted = this.locallyPaused || this.isMuted
+    const hasLiveTrack = Boolean(this.track && this.track.readyState === 'live')
+    if (this.room.detectMutedSpeech && isMuted && hasLiveTrack) {
+      this.startMutedSpeechDetection()
+    } else {
+      this.stopMutedSpeechDetection()
+    }
+  },
+  startMutedSpeechDetection() {
+    // Paused media disable their track, so we analyse an enabled clone which is never sent
+    if (this.mutedSpeech && this.mutedSpeech.source === this.track) return
+    this.stopMutedSpeechDetection()
+
+    const track = this.manager.tracks.acquire(this.track, { clone: true })
+    track.enabled = true
+    const vad = new VoiceActivityDetector(this.room.mutedSpeech)
+    this.mutedSpeech = { source: this.track, track, vad }
+    this.listenTo(vad, 'change:isSpeaking', () => {
+      if (vad.isSpeaking) this.room.notifyMutedSpeech(this)
+    })
+    this.manager.audioMeter.register(
+      `${this.cid}:muted`,
+      new MediaStream([track]),
+      ({ rms }) => vad.process(rms),
+    )
+  },
+  stopMutedSpeechDetection() {
+    if (!this.mutedSpeech) return
+    const { track, vad } = this.mutedSpeech
+    this.manager.audioMeter.unregister(`${this.cid}:muted`)
+    this.stopListening(vad)
+    this.manager.tracks.release(track)
+    this.mutedSpeech = null
+  },
+  disableVoiceActivity() {
+    if (!this.vad) return
+    this.stopUsingAudioLevels(VAD_DEPENDANT_ID)
+    this.vad.reset()
+    this.stopListening(this.vad)
+    this.stopListening(this.room, 'change:voiceActivity')
+    this.vad = null
+  },
   useAudioLevels(dependantId, srcObject) {
     try {
       log('useAudioLevels()', { dependantId, srcObject })
@@ -160,6 +292,7 @@ const Media = State.extend(Observable).extend({
       this.audioDependants.delete(dependantId)
       if (this.audioDependants.size === 0) {
         this.closeAudioSource()
+        if (this.vad) this.vad.reset()
       }
     } catch (e) {
       warn('stopUsingAudioLevels() failed', e)
@@ -168,9 +301,7 @@ const Media = State.extend(Observable).extend({
   closeAudioSource() {
     try {
       if (this.isCalculatingAudioLevels) {
-        this.audioSource && this.audioSource.disconnect(this.processor)
-        this.processor &&
-          this.processor.disconnect(this.manager.audioCtx.destination)
+        this.manager.audioMeter.unregister(this.cid)
       }
     } catch (e) {
       warn('closeAudioSource() failed', e)
@@ -183,52 +314,66 @@ const Media = State.extend(Observable).extend({
       log('updateSourceForAudioLevels()', { srcObject })
       this.closeAudioSource()
       this.isCalculatingAudioLevels = true
+      this.audioSrcObject = srcObject
 
       if (!srcObject) {
         return (this.audioLevel = 0)
       }
 
-      // Create a simple pipeline required to analyze the MediaStreamSource
-      this.audioSource = this.manager.audioCtx.createMediaStreamSource(
+      // Levels are measured by the manager's shared meter
+      this.manager.audioMeter.register(
+        this.cid,
         srcObject,
+        this._calculateAudioLevel.bind(this),
       )
-      this.processor = this.manager.audioCtx.createScriptProcessor(512)
-      this.audioSource.connect(this.processor)
-      this.processor.connect(this.manager.audioCtx.destination)
-
-      // This is deprecated - consider replacing with AudioWorklet (not well documented as of 2/7/2019)
-      // https://hoch.io/assets/publications/icmc-2018-choi-audioworklet.pdf
-      this.processor.onaudioprocess = this._calculateAudioLevel.bind(this)
     } catch (e) {
       warn('updateSourceForAudioLevels() failed', e)
     }
   },
-  _calculateAudioLevel(event) {
+  _calculateAudioLevel({ peak, rms }) {
     if (this.isMuted || this.level === 0) {
-      return (this.audioLevel = 0)
+      this.audioPeak = 0
+      this.audioLevel = 0
+    } else {
+      // Now smooth this out with the averaging factor applied
+      // to the previous sample - take the max here because we
+      // want "fast attack, slow release."
+      // The factor decays 0.97 for every ~10ms, regardless of the report interval
+      // Note: The factor of 2 is only to make audio changes more noticeable
+      const decay = Math.pow(0.97, this.manager.audioMeter.interval / 10)
+      this.audioPeak = peak
+      this.audioLevel =
+        Math.max(rms, (this.audioLevel / (this.level * 2)) * decay) *
+        (this.level * 2)
     }
-
-    const buf = event.inputBuffer.getChannelData(0)
-    const bufLength = buf.length
-    let sum = 0
-
-    // Do a root-mean-square on the samples: sum up the squares...
-    let x
-    for (let i = 0; i < bufLength; i++) {
-      x = buf[i]
-      sum += x * x
+    if (this.vad) this.vad.process(this.isMuted ? 0 : rms)
+    this.trigger('audiolevel', {
+      level: this.audioLevel,
+      peak: this.audioPeak,
+      rms,
+    })
+  },
+  transition(next, reason = '') {
+    // Moves to the next state if the transition table allows it, returning whether it did
+    const previous = this.state
+    if (next === previous) return true
+    if (previous && !TRANSITIONS[previous].includes(next)) {
+      warn('Illegal media state transition', {
+        media: this.id,
+        previous,
+        next,
+        reason,
+      })
+      this.logEvent('IllegalMediaStateTransition', { previous, next, reason })
+      return false
     }
-
-    // ... then take the square root of the sum.
-    const rms = Math.sqrt(sum / bufLength)
-
-    // Now smooth this out with the averaging factor applied
-    // to the previous sample - take the max here because we
-    // want "fast attack, slow release."
-    // Note: The factor of 2 is only to make audio changes more noticeable
-    this.audioLevel =
-      Math.max(rms, (this.audioLevel / (this.level * 2)) * 0.97) *
-      (this.level * 2)
+    this.stateHistory = [
+      ...this.stateHistory,
+      { previous, next, reason, timestamp: Date.now() },
+    ].slice(-STATE_HISTORY_SIZE)
+    this.state = next
+    this.trigger('statechange', { media: this, previous, next, reason })
+    return true
   },
   async activate() {
     const isAlreadyActive =
@@ -252,7 +397,7 @@ const Media = State.extend(Observable).extend({
       return this
     }
 
-    this.state = STATE.activating
+    this.transition(STATE.activating, 'Activate')
 
     try {
       if (this.consumer) {
@@ -270,6 +415,9 @@ const Media = State.extend(Observable).extend({
     if (this.producer) {
       this.logEvent('PauseProducerMedia')
       this.producer.pause()
+
+      // The producer sends its own clone, so our track reflects its state
+      if (this.track) this.track.enabled = false
     }
     if (this.consumer) {
       this.logEvent('PauseConsumerMedia')
@@ -281,12 +429,25 @@ const Media = State.extend(Observable).extend({
     if (this.producer) {
       this.logEvent('ResumeProducerMedia')
       this.producer.resume()
+      if (this.track) this.track.enabled = true
+
+      // Resuming overrides a host's request, but not a pause by the server
+      if (!this.producer.remotelyPaused) this.remotelyPaused = false
     }
     if (this.consumer) {
       this.logEvent('ResumeConsumerMedia')
       this.consumer.resume()
     }
   },
+  pauseByRequest(shouldClose = false) {
+    // Paused (or closed) at the request of a remote host
+    this.remotelyPaused = true
+    if (shouldClose) return this.close()
+    if (this.producer) return this.pause()
+
+    // Not yet sending, so begin paused
+    this.locallyPaused = true
+  },
   async send() {
     // If we don't have a track, start a new one
     if (!this.track || this.track.readyState === 'ended')
@@ -295,16 +456,17 @@ const Media = State.extend(Observable).extend({
     // If we still don't have a track, we were unable to pull one from a valid device
     // We will remain "activating" until a valid track is received
     if (!this.track) {
-      this.state = STATE.inactive
+      this.transition(STATE.inactive, 'NoTrack')
       return this
     }
 
     const device = this.manager.getDeviceByIdAndType(this.deviceId, this.type)
 
     // Initiate the transport and begin sending the track to our SFU
+    const simulcast = this.getSimulcastLayers()
     this.producer = this.createProducer(
       this.track,
-      { simulcast: this.simulcast },
+      { simulcast: toProducerSimulcast(simulcast) },
       {
         // peers receive as consumer appData:
         type: this.type,
@@ -315,21 +477,20 @@ const Media = State.extend(Observable).extend({
       },
     )
 
-    // Update the track to ensure bindings are in place
-    this.updateTrack(this.producer.track)
-
     // Send it out
     await this.producer.send(this.room._sendTransport)
+    this.bindSentTrack()
 
-    if (this.locallyPaused) {
-      this.producer.pause()
+    // mediasoup only sets the bitrate of each layer
+    if (simulcast) {
+      await applySimulcastEncodings(this.getRtpSender(), simulcast)
     }
 
     this.set({ codec: this.producer.rtpParameters.codecs[0].name })
 
     // Producer event handlers
-    this.producer.on('stats', ([inboundStats, outboundStats]) => {
-      if (!inboundStats) return
+    this.producer.on('stats', (stats) => {
+      this.addStatsSample(normalizeServerStats(stats), true)
     })
     this.producer.on('close', () => {
       log('Producer "close" event', this.getAttributes({ props: true }))
@@ -345,7 +506,7 @@ const Media = State.extend(Observable).extend({
       } else {
         this.remotelyPaused = true
       }
-      this.state = STATE.paused
+      this.transition(STATE.paused, `ProducerPaused:${originator}`)
       this.triggerUpdate()
     })
     this.producer.on('resume', (originator) => {
@@ -358,12 +519,20 @@ const Media = State.extend(Observable).extend({
       } else {
         this.remotelyPaused = false
       }
-      this.state = STATE.active
+      this.transition(STATE.active, `ProducerResumed:${originator}`)
       this.triggerUpdate()
     })
 
-    this.state =
-      this.locallyPaused || this.remotelyPaused ? STATE.paused : STATE.active
+    // Pause once our handlers are in place, since the producer emits 'pause' synchronously
+    if (this.locallyPaused || this.room.isMutedByPushToTalk(this)) {
+      this.producer.pause()
+      this.track.enabled = false
+    }
+
+    this.transition(
+      this.locallyPaused || this.remotelyPaused ? STATE.paused : STATE.active,
+      'Sent',
+    )
 
     return this
   },
@@ -391,7 +560,7 @@ const Media = State.extend(Observable).extend({
       })
       if (originator === 'local') {
         this.locallyPaused = true
-        this.state = STATE.paused
+        this.transition(STATE.paused, 'ConsumerPaused:local')
       } else {
         // If the feed is remotely paused, discard the track entirely
         this.remotelyPaused = true
@@ -409,9 +578,12 @@ const Media = State.extend(Observable).extend({
         this.remotelyPaused = false
         this.updateTrack(this.consumer.track)
       }
-      this.state = STATE.active
+      this.transition(STATE.active, `ConsumerResumed:${originator}`)
       this.triggerUpdate()
     })
+    this.consumer.on('stats', (stats) => {
+      this.addStatsSample(normalizeServerStats(stats), true)
+    })
     this.consumer.on('effectiveprofilechange', (profile) => {
       log('Consumer "effectiveprofilechange" event', {
         model: this.getAttributes({ props: true }),
@@ -426,12 +598,95 @@ const Media = State.extend(Observable).extend({
       codec: this.consumer.rtpParameters.codecs[0].name,
     })
 
-    this.state =
-      this.locallyPaused || this.remotelyPaused ? STATE.paused : STATE.active
+    this.transition(
+      this.locallyPaused || this.remotelyPaused ? STATE.paused : STATE.active,
+      'Received',
+    )
 
+    this.applyPreferredProfile()
     await this.updateTrack(track)
     return this
   },
+  getSentTrack() {
+    // mediasoup sends its own clone of our track
+    return (this.producer && this.producer.track) || null
+  },
+  bindSentTrack() {
+    if (this.camera) this.camera.sentTrack = this.getSentTrack()
+  },
+  getRtpSender() {
+    const pc = getPeerConnection(this.room._sendTransport)
+    const track = this.getSentTrack()
+    if (!pc || !track) return null
+    return pc.getSenders().find((x) => x.track === track)
+  },
+  getBitrateLimits() {
+    // The most this media can use, where it differs from the defaults for its type
+    const layers = this.getSimulcastLayers()
+    const opus = this.getOpusParameters()
+    const max = layers
+      ? Object.values(layers).reduce((acc, x) => acc + (x.maxBitrate || 0), 0)
+      : opus && opus.maxaveragebitrate
+    return max ? { max } : {}
+  },
+  async setMaxBitrate(bitrate) {
+    // Limits the bitrate sent by the producer (undefined removes the limit)
+    if (bitrate === undefined && this.maxBitrate === undefined) return
+    this.maxBitrate = bitrate
+    await applyMaxBitrate(
+      this.getRtpSender(),
+      bitrate,
+      this.getSimulcastLayers(),
+    )
+  },
+  getOpusParameters() {
+    // Options are applied whenever the send transport negotiates, which happens as each producer is added
+    if (!AUDIO_TYPES.includes(this.type) || this.isRemote) return null
+    return toOpusParameters({
+      ...DEFAULT_OPUS,
+      ...this.room.codecOptions.opus,
+      ...(this.isHighFidelity ? HIGH_FIDELITY_OPUS : {}),
+      ...this.codecOptions.opus,
+    })
+  },
+  getSimulcastLayers() {
+    if (AUDIO_TYPES.includes(this.type)) return false
+    return getSimulcastLayers(
+      this.type,
+      { [this.type]: this.simulcast },
+      this.room.simulcast,
+      this.manager.simulcast,
+    )
+  },
+  setPreferredProfile(profile) {
+    // 'default' | 'low' | 'medium' | 'high' | 'auto'
+    this.preferredProfile = profile
+  },
+  applyPreferredProfile() {
+    if (!this.consumer || this.consumer.kind !== 'video') return
+    if (this.preferredProfile === 'auto') {
+      return this.room.scheduleAutoProfiles()
+    }
+    this.setConsumerProfile(this.preferredProfile)
+  },
+  setConsumerProfile(profile) {
+    const { consumer } = this
+    if (!consumer || consumer.closed) return
+    if (consumer.preferredProfile === profile) return
+    log('setConsumerProfile()', { profile, media: this.id })
+    consumer.setPreferredProfile(profile)
+  },
+  getRenderSize() {
+    // The largest size any watcher renders this media at
+    return [...this.dependants].reduce((acc, id) => {
+      const size = this.room.renderSizes[id]
+      if (!size) return acc
+      if (!acc || size.width * size.height > acc.width * acc.height) {
+        return size
+      }
+      return acc
+    }, null)
+  },
   async initializeLocalTrack(deviceId) {
     log('initializeLocalTrack', { model: this.getAttributes({ props: true }) })
     return (
@@ -451,14 +706,17 @@ const Media = State.extend(Observable).extend({
           : devices.find((x) => x.id === deviceId)
 
         if (!device) {
-          warn('Tried to initialize track, but could not find device')
-          return (this.state = STATE.inactive)
+          this.transition(STATE.inactive, 'DeviceNotFound')
+          throw new DeviceNotFoundError(
+            'Tried to initialize track, but could not find device',
+            { constraints: { deviceId } },
+          )
         }
 
         this.isHighFidelity = device.isHighFidelity
 
         // Stop the previous track before trying to get a new one, otherwise it may return the current track
-        if (this.track) this.track.stop()
+        this.releaseTrack()
 
         const previousDevice = devices.find((x) => x.id === this.deviceId)
         if (previousDevice)
@@ -467,6 +725,8 @@ const Media = State.extend(Observable).extend({
         // Update state to reflect the new device
         this.displayName = device.displayName
         this.deviceId = device.id
+        this.deviceGroupId = device.groupId
+        if (this.type === 'webcam') this.facing = device.direction
         const newTrack = await device.getTrack()
 
         this.listenTo(device, 'change:isHighFidelity', async () => {
@@ -479,7 +739,10 @@ const Media = State.extend(Observable).extend({
 
         if (!newTrack) {
           // We couldn't get a new track, so go inactive until further instruction is received
-          return (this.state = STATE.inactive)
+          this.transition(STATE.inactive, 'NoDeviceTrack')
+          throw new DeviceNotFoundError('Device did not provide a track', {
+            device,
+          })
         }
 
         // Update state to reflect our new local track
@@ -488,16 +751,19 @@ const Media = State.extend(Observable).extend({
           this.state !== STATE.active &&
           this.state !== STATE.paused
         ) {
-          this.state = STATE.local
+          this.transition(STATE.local, 'LocalTrack')
         }
 
         await this.updateTrack(newTrack)
         return this.track
       })()
         .catch((e) => {
-          warn('Error occurred while initializing local track:', e)
-          this.logEvent('InitializeTrackFailed')
+          const error = toMediaError(e)
+          warn('Error occurred while initializing local track:', error)
+          this.logEvent('InitializeTrackFailed', { error: error.name })
+          this.releaseTrack()
           this.track = null
+          this.trigger('error', error)
           return null
         })
         .then((result) => {
@@ -516,6 +782,116 @@ const Media = State.extend(Observable).extend({
 
     return this.deviceId
   },
+  canFailover() {
+    return (
+      !this.consumer &&
+      (this.type === 'webcam' || this.type === 'microphone') &&
+      this.room.failoverPolicy !== 'none' &&
+      this.dependants.size > 0
+    )
+  },
+  async failover() {
+    // Replace a lost device with the next best device of the same type
+    if (this._failingOver) return this._failingOver
+    const previousDeviceId = this.deviceId
+
+    this._failingOver = (async () => {
+      // Ensure the lost device is no longer considered
+      await this.manager.updateDevices().catch(warn)
+
+      const device = this.manager.getFailoverDevice(this.type, {
+        groupId: this.deviceGroupId,
+        excludeId: previousDeviceId,
+        sameGroupOnly: this.room.failoverPolicy === 'sameGroup',
+      })
+      if (!device) {
+        warn('No device available for failover. Closing media...')
+        return this.close()
+      }
+
+      log('Failing over to device', { previousDeviceId, deviceId: device.id })
+
+      // The producer track is replaced once the new track is initialized
+      await this.initializeLocalTrack(device.id)
+      if (!this.track || this.deviceId !== device.id) {
+        return this.close()
+      }
+
+      this.logEvent('DeviceFailover', { previousDeviceId })
+      this.trigger('devicefailover', {
+        previousDeviceId,
+        deviceId: device.id,
+      })
+      return this
+    })().then((result) => {
+      this._failingOver = null
+      return result
+    })
+    return this._failingOver
+  },
+  async flipCamera() {
+    return this.setCameraFacing(this.facing === 'back' ? 'front' : 'back')
+  },
+  async setCameraFacing(facing) {
+    // Switches between front and back cameras without interrupting the producer
+    if (this.type !== 'webcam' || this.consumer) {
+      throw new Error('Only local webcams can change camera facing')
+    }
+    if (facing === this.facing && this.track) return this.deviceId
+    log('setCameraFacing()', { facing })
+
+    // Device direction can only be trusted when the webcam has a label
+    const device = this.manager.webcams.find(
+      (x) => x.label && x.direction === facing && x.id !== this.deviceId,
+    )
+    if (device) {
+      await this.changeDevice(device.id)
+    } else {
+      await this._initializeTrackByFacingMode(facing)
+    }
+
+    // Failures have already been reported through an 'error' event
+    if (!this.track) return this.deviceId
+    this.facing = facing
+    this.logEvent('CameraFacingChanged', { facing })
+    return this.deviceId
+  },
+  async _initializeTrackByFacingMode(facing) {
+    const device = this.manager.getDeviceByIdAndType(this.deviceId, this.type)
+    const constraints = {
+      video: {
+        ...(device ? device.getVideoConstraints() : {}),
+        facingMode: { exact: facing === 'back' ? 'environment' : 'user' },
+      },
+    }
+
+    // Mobile browsers cannot open both cameras at once
+    if (this.track) {
+      this.track.onended = () => {}
+      this.releaseTrack()
+    }
+
+    let track
+    try {
+      const stream = await this.manager.getUserMedia(constraints)
+      track = stream.getVideoTracks()[0]
+    } catch (e) {
+      const error = toMediaError(e, { device, constraints })
+      warn('Failed to initialize track by facing mode', error)
+      this.trigger('error', error)
+
+      // Restore the camera we stopped
+      this.track = null
+      await this.initializeLocalTrack(this.deviceId)
+      return null
+    }
+
+    // Adopt the deviceId of the camera that the browser chose
+    const settings = track.getSettings ? track.getSettings() : {}
+    if (settings.deviceId) this.deviceId = settings.deviceId
+    await this.updateTrack(track)
+    return track
+  },
   async updateTrack(track) {
     // Close the previous track silently
     const previousTrack = this.track
@@ -525,6 +901,12 @@ const Media = State.extend(Observable).extend({
         if (this.producer) {
           this.logEvent('ProducerTrackEndedPrematurely')
         }
+        if (this.canFailover()) {
+          warn('Track ended unexpectedly. Failing over...', {
+            media: this.getAttributes({ props: true }),
+          })
+          return this.failover()
+        }
         warn('Track ended unexpectedly. Closing media...', {
           media: this.getAttributes({ props: true }),
         })
@@ -544,22 +926,25 @@ const Media = State.extend(Observable).extend({
 
     if (previousTrack) {
       previousTrack.onended = () => {}
-      previousTrack.stop()
+      this.releaseTrack()
     }
 
     // Set the new track locally
     this.track = track
+    if (track) this.acquireTrack(track)
 
     if (this.state === STATE.active) {
       // Update the live RTP feed
-      this.state = STATE.activating
+      this.transition(STATE.activating, 'ReplaceTrack')
       await this.producer.replaceTrack(track)
-      this.state = STATE.active
+      this.bindSentTrack()
+      this.transition(STATE.active, 'TrackReplaced')
     }
 
     if (this.state === STATE.paused) {
       // Update the producer track, but remain paused (not sending)
       await this.producer.replaceTrack(track)
+      this.bindSentTrack()
     }
 
     return this
@@ -573,6 +958,7 @@ const Media = State.extend(Observable).extend({
       )
     log('useTrack()', { dependantId }, this.kind, this.label)
     this.dependants.add(dependantId)
+    if (this.preferredProfile === 'auto') this.room.scheduleAutoProfiles()
 
     // If we weren't supplied a track, try to extract one based on the deviceId
     if (!this.track) {
@@ -591,6 +977,7 @@ const Media = State.extend(Observable).extend({
       )
     log('stopUsingTrack()', { dependantId }, this.kind, this.label)
     this.dependants.delete(dependantId)
+    if (this.preferredProfile === 'auto') this.room.scheduleAutoProfiles()
 
     // If nothing locally is rendering our track, stop it.
     // TBH, it's a little weird that it's possible to send a track without displaying it locally.
@@ -607,26 +994,49 @@ const Media = State.extend(Observable).extend({
   clearTrack() {
     if (this.track) {
       this.track.onended = () => {}
-      this.track.stop()
+      if (this.track === this.acquiredTrack) {
+        this.releaseTrack()
+      } else {
+        this.track.stop()
+      }
       this.unset('track')
     }
   },
+  acquireTrack(track) {
+    // Holds a handle on a local track, so that its device stays open while we use it
+    if (track === this.acquiredTrack) return
+    this.releaseTrack()
+    this.acquiredTrack = this.manager.tracks.acquire(track)
+  },
+  releaseTrack() {
+    // The producer's clone also holds the device open (it is replaced along with our track)
+    const sentTrack = this.getSentTrack()
+    if (sentTrack && sentTrack.readyState === 'live') sentTrack.stop()
+
+    // The device is only stopped once nothing else holds a handle on its track
+    if (!this.acquiredTrack) return
+    this.manager.tracks.release(this.acquiredTrack)
+    this.acquiredTrack = null
+  },
   close() {
     if (this.state === STATE.inactive) return this
     this.clearTrack()
+    this.stopMutedSpeechDetection()
+    this.stopStatsCollection()
+    this.statsCounters = null
 
     window.clearTimeout(this.newLocalTrackTimeout)
 
     // If something is still dependant on the track, re-initialize it locally (unless it's being consumed)
     if (!this.consumer && this.dependants.size > 0) {
-      this.state = STATE.local
+      this.transition(STATE.local, 'ClosedWithDependants')
       // We need to throttle in case dependants are unloading in parallel
       this.newLocalTrackTimeout = window.setTimeout(() => {
         this.initializeLocalTrack(this.deviceId)
       }, 1000)
     } else {
       // We are now "inactive", which indicates we have no intent of being active
-      this.state = STATE.inactive
+      this.transition(STATE.inactive, 'Closed')
     }
 
     // When a producer is closed, the media can be re-activated
@@ -651,12 +1061,64 @@ const Media = State.extend(Observable).extend({
       if (this.consumer) this.consumer.enableStats(interval)
       this.on('change:consumer', () => this.enableStats())
     }
+
+    // Local stats are collected for producers and consumers alike
+    this.statsCollectionInterval = interval
+    this.startStatsCollection()
+  },
+  startStatsCollection() {
+    if (this.statsInterval || !this.statsCollectionInterval) return
+    this.statsInterval = window.setInterval(
+      () => this.collectStats(),
+      this.statsCollectionInterval,
+    )
+  },
+  stopStatsCollection() {
+    window.clearInterval(this.statsInterval)
+    this.statsInterval = null
   },
   disableStats() {
     if (this.producer) this.producer.disableStats()
     if (this.consumer) this.consumer.disableStats()
     this.off('change:consumer')
     this.off('change:producer')
+    this.stopStatsCollection()
+    this.statsCollectionInterval = null
+  },
+  async collectStats() {
+    // Gathers stats for our track from the local RTCPeerConnection
+    const transport = this.consumer
+      ? this.room._recvTransport
+      : this.room._sendTransport
+    const pc = getPeerConnection(transport)
+    if (!pc || !this.track || this.state !== STATE.active) return
+
+    const rtp = this.consumer
+      ? pc.getReceivers().find((x) => x.track === this.track)
+      : this.getRtpSender()
+    if (!rtp || !rtp.getStats) return
+
+    try {
+      const report = await rtp.getStats()
+      const [sample, counters] = normalizeRtcStats(report, this.statsCounters)
+      this.statsCounters = counters
+      return this.addStatsSample(sample)
+    } catch (e) {
+      warn('collectStats() failed', e)
+    }
+  },
+  addStatsSample(sample, isServerStats = false) {
+    // Local stats are more detailed, so server stats are only used until they arrive
+    if (isServerStats && this.statsCounters) return this.stats.getSample()
+    const { availableBitrate } =
+      this.room.transportStats[this.consumer ? 'recv' : 'send'] || {}
+    const latest = this.stats.addSample({
+      codec: this.codec,
+      availableBitrate,
+      ...sample,
+    })
+    this.trigger('stats', latest)
+    return latest
   },
   logEvent(name, data = {}) {
     try {
@@ -683,6 +1145,18 @@ const Media = State.extend(Observable).extend({
       }
     }
   },
+  getCameraCapabilities() {
+    return this.camera ? this.camera.capabilities : {}
+  },
+  async setCameraControl(name, value) {
+    // e.g. setCameraControl('zoom', 2), setCameraControl('torch', true)
+    if (!this.camera) {
+      throw new Error('Camera controls are only available for local webcams')
+    }
+    const result = await this.camera.setControl(name, value)
+    this.logEvent('CameraControlChanged', { name, value: result })
+    return result
+  },
   getModel() {
     return this.manager.getModelForMedia(this)
   },
@@ -0,0 +1,250 @@
+'use strict'
+
+import State from 'ampersand-state'
+import debug from 'debug'
+
+const log = debug('Lightstream:WebRTC:Metering')
+const warn = debug('Lightstream:WebRTC:Metering (Warn)')
+
+const PROCESSOR_NAME = 'lightstream-audio-level'
+
+// Runs on the audio rendering thread.
+//  Each input is a separate source - levels for every input are posted together once per interval.
+const PROCESSOR_SOURCE = `
+class AudioLevelProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super()
+    const { numberOfInputs } = options
+    this.setInterval(options.processorOptions.interval)
+    this.frameCount = 0
+    this.peaks = new Float32Array(numberOfInputs)
+    this.sums = new Float64Array(numberOfInputs)
+    this.port.onmessage = ({ data }) => {
+      if (data.interval) this.setInterval(data.interval)
+    }
+  }
+  setInterval(interval) {
+    this.framesPerReport = Math.max(128, Math.round((interval / 1000) * sampleRate))
+  }
+  process(inputs) {
+    let frames = 128
+    for (let i = 0; i < inputs.length; i++) {
+      const channel = inputs[i][0]
+      if (!channel) continue
+      frames = channel.length
+      for (let j = 0; j < channel.length; j++) {
+        const x = channel[j]
+        const abs = x < 0 ? -x : x
+        if (abs > this.peaks[i]) this.peaks[i] = abs
+        this.sums[i] += x * x
+      }
+    }
+    this.frameCount += frames
+    if (this.frameCount >= this.framesPerReport) {
+      const rms = new Float32Array(this.sums.length)
+      for (let i = 0; i < rms.length; i++) {
+        rms[i] = Math.sqrt(this.sums[i] / this.frameCount)
+      }
+      this.port.postMessage({ peak: this.peaks.slice(), rms })
+      this.peaks.fill(0)
+      this.sums.fill(0)
+      this.frameCount = 0
+    }
+    return true
+  }
+}
+registerProcessor('${PROCESSOR_NAME}', AudioLevelProcessor)
+`
+
+// Peak and RMS of a buffer of samples
+const measure = (buffer) => {
+  let peak = 0
+  let sum = 0
+  for (let i = 0; i < buffer.length; i++) {
+    const x = buffer[i]
+    const abs = Math.abs(x)
+    if (abs > peak) peak = abs
+    sum += x * x
+  }
+  return { peak, rms: Math.sqrt(sum / buffer.length) }
+}
+
+/**
+  AudioLevelMeter measures the peak and RMS level of every registered MediaStream.
+  Sources share AudioWorkletNodes (up to `inputsPerNode` sources each), so metering happens off the main thread.
+  Where AudioWorklet is unavailable, each source is polled through an AnalyserNode instead.
+  Levels are delivered to each source's callback every `interval` ms.
+*/
+const AudioLevelMeter = State.extend({
+  props: {
+    interval: ['number', true, 50], // ms between level reports
+    inputsPerNode: ['number', true, 16],
+    isWorkletSupported: ['boolean', true, false],
+  },
+  session: {
+    manager: 'state',
+  },
+  initialize() {
+    this.sources = new Map() // id => { id, stream, callback, source, ... }
+    this.nodes = [] // { node, inputs: [source entries by input index] }
+
+    // The AudioContext may be replaced (e.g. after an iOS interruption)
+    this.listenTo(this.manager, 'change:audioCtx', () => this.rebuild())
+    this.on('change:interval', () => {
+      this.nodes.forEach((x) =>
+        x.node.port.postMessage({ interval: this.interval }),
+      )
+      if (this.pollInterval) {
+        this.stopPolling()
+        this.startPolling()
+      }
+    })
+  },
+  loadWorklet(audioCtx) {
+    // Resolves whether the worklet is usable on this AudioContext
+    if (this.worklet && this.worklet.audioCtx === audioCtx) {
+      return this.worklet.loading
+    }
+    const loading = (async () => {
+      if (!audioCtx.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+        return false
+      }
+      const url = URL.createObjectURL(
+        new Blob([PROCESSOR_SOURCE], { type: 'application/javascript' }),
+      )
+      try {
+        await audioCtx.audioWorklet.addModule(url)
+        return true
+      } catch (e) {
+        warn('Failed to load audio level worklet. Falling back to polling.', e)
+        return false
+      } finally {
+        URL.revokeObjectURL(url)
+      }
+    })().then((isSupported) => {
+      this.isWorkletSupported = isSupported
+      return isSupported
+    })
+    this.worklet = { audioCtx, loading }
+    return loading
+  },
+  async register(id, stream, callback) {
+    // Returns a hook to stop metering the source
+    this.unregister(id)
+    const entry = { id, stream, callback }
+    this.sources.set(id, entry)
+    await this.connect(entry)
+    return () => this.unregister(id)
+  },
+  unregister(id) {
+    const entry = this.sources.get(id)
+    if (!entry) return
+    this.disconnect(entry)
+    this.sources.delete(id)
+    if (![...this.sources.values()].some((x) => x.analyser)) {
+      this.stopPolling()
+    }
+  },
+  async connect(entry) {
+    const audioCtx = this.manager.audioCtx
+    const isWorkletSupported = await this.loadWorklet(audioCtx)
+
+    // The source may have been unregistered (or the context replaced) while loading
+    if (
+      this.sources.get(entry.id) !== entry ||
+      audioCtx !== this.manager.audioCtx
+    ) {
+      return
+    }
+
+    try {
+      entry.source = audioCtx.createMediaStreamSource(entry.stream)
+      if (isWorkletSupported) {
+        const slot = this.allocateInput(audioCtx, entry)
+        entry.source.connect(slot.node, 0, entry.input)
+      } else {
+        entry.analyser = audioCtx.createAnalyser()
+        entry.analyser.fftSize = 1024
+        entry.buffer = new Float32Array(entry.analyser.fftSize)
+        entry.source.connect(entry.analyser)
+        this.startPolling()
+      }
+    } catch (e) {
+      warn('Failed to meter audio source', e, { id: entry.id })
+    }
+  },
+  disconnect(entry) {
+    try {
+      entry.source && entry.source.disconnect()
+      entry.analyser && entry.analyser.disconnect()
+    } catch (e) {
+      warn('Failed to disconnect audio source', e)
+    }
+    if (entry.slot) {
+      entry.slot.inputs[entry.input] = undefined
+      if (!entry.slot.inputs.some(Boolean)) this.releaseNode(entry.slot)
+    }
+    Object.assign(entry, {
+      source: null,
+      analyser: null,
+      slot: null,
+      input: null,
+    })
+  },
+  allocateInput(audioCtx, entry) {
+    let slot = this.nodes.find((x) => x.inputs.includes(undefined))
+    if (!slot) {
+      const node = new AudioWorkletNode(audioCtx, PROCESSOR_NAME, {
+        numberOfInputs: this.inputsPerNode,
+        numberOfOutputs: 1,
+        outputChannelCount: [1],
+        processorOptions: { interval: this.interval },
+      })
+      slot = { node, inputs: new Array(this.inputsPerNode).fill(undefined) }
+      node.port.onmessage = ({ data }) => {
+        slot.inputs.forEach((x, i) => {
+          if (x) x.callback({ peak: data.peak[i], rms: data.rms[i] })
+        })
+      }
+
+      // The output is silent, but must be connected for the graph to process it
+      node.connect(audioCtx.destination)
+      this.nodes.push(slot)
+      log('Created audio level node', { nodes: this.nodes.length })
+    }
+    entry.slot = slot
+    entry.input = slot.inputs.indexOf(undefined)
+    slot.inputs[entry.input] = entry
+    return slot
+  },
+  releaseNode(slot) {
+    slot.node.port.onmessage = null
+    slot.node.disconnect()
+    this.nodes = this.nodes.filter((x) => x !== slot)
+  },
+  startPolling() {
+    if (this.pollInterval) return
+    this.pollInterval = window.setInterval(() => this.poll(), this.interval)
+  },
+  stopPolling() {
+    window.clearInterval(this.pollInterval)
+    this.pollInterval = null
+  },
+  poll() {
+    this.sources.forEach((entry) => {
+      if (!entry.analyser) return
+      entry.analyser.getFloatTimeDomainData(entry.buffer)
+      entry.callback(measure(entry.buffer))
+    })
+  },
+  rebuild() {
+    log('Rebuilding audio level meters')
+    const entries = [...this.sources.values()]
+    entries.forEach((x) => this.disconnect(x))
+    this.nodes.forEach((x) => this.releaseNode(x))
+    this.stopPolling()
+    entries.forEach((x) => this.connect(x))
+  },
+})
+
+export default AudioLevelMeter
@@ -0,0 +1,212 @@
+'use strict'
+
+import State from 'ampersand-state'
+import Observable from './_observable'
+import debug from 'debug'
+
+const log = debug('Lightstream:WebRTC:Mixer')
+const warn = debug('Lightstream:WebRTC:Mixer (Warn)')
+
+const AUDIO_TYPES = ['microphone', 'audio', 'audioFeed']
+
+/**
+  AudioMixer plays every remote audio Media of a room through the manager's AudioContext.
+  Each media has its own gain node, set from its peer's `volume`, `isMutedLocally` and `isSolo`,
+  and all media are summed into a master gain node.
+  The mix is played through an element, a chosen speaker, or the room's speaker (see `start()`).
+  The mixer holds each remote media with `useTrack()`, so it is received even if nothing renders it.
+  Remote audio is still delivered to watchers, so apps which start the mixer should mute
+  (or not render) their own audio elements, or it will be heard twice.
+*/
+const AudioMixer = State.extend(Observable).extend({
+  props: {
+    masterGain: ['number', true, 1],
+    isRunning: ['boolean', true, false],
+  },
+  session: {
+    room: 'state',
+  },
+  initialize() {
+    this.sources = new Map() // Media => { track, source, gain, element }
+    this.usedMedia = new Set() // Remote media we hold with useTrack()
+    this.dependantId = `mixer:${this.cid}`
+
+    const { room } = this
+    this.listenTo(room.media, 'add change:track', (media) =>
+      this.updateMedia(media),
+    )
+    this.listenTo(room.media, 'remove', (media) => this.removeMedia(media))
+    this.listenTo(
+      room.peers,
+      'change:volume change:isMutedLocally change:isSolo remove',
+      () => this.updateGains(),
+    )
+    this.on('change:masterGain', () => {
+      if (this.master) this.master.gain.value = this.masterGain
+    })
+
+    // The AudioContext may be replaced (e.g. after an iOS interruption)
+    this.listenTo(room.manager, 'change:audioCtx', () => {
+      if (this.isRunning) this.start(this.output)
+    })
+  },
+  shouldMix(media) {
+    return media.isRemote && AUDIO_TYPES.includes(media.type)
+  },
+  getGain(media) {
+    const peer = this.room.peers.get(media.peerId)
+    if (!peer) return 1
+    if (peer.isMutedLocally) return 0
+    if (this.room.peers.some((x) => x.isSolo) && !peer.isSolo) return 0
+    return peer.volume
+  },
+  start(output) {
+    // `output` may be a media element, a speaker deviceId, or undefined for the room's speaker
+    if (this.isRunning) this.teardown()
+    const audioCtx = this.room.manager.audioCtx
+    this.output = output
+    this.master = audioCtx.createGain()
+    this.master.gain.value = this.masterGain
+    this.destination = audioCtx.createMediaStreamDestination()
+    this.master.connect(this.destination)
+    this.connectOutput(output)
+    this.isRunning = true
+    log('Started audio mixer', { output })
+
+    this.room.media.forEach((x) => this.updateMedia(x))
+    return this.destination.stream
+  },
+  stop() {
+    this.teardown()
+    ;[...this.usedMedia].forEach((x) => this.removeMedia(x))
+    this.isRunning = false
+  },
+  teardown() {
+    // Disconnects the audio graph, while continuing to hold media
+    ;[...this.sources.keys()].forEach((x) => this.disconnectMedia(x))
+    this.disconnectOutput()
+    if (this.master) this.master.disconnect()
+    this.master = null
+    this.destination = null
+  },
+  connectOutput(output) {
+    if (output instanceof HTMLMediaElement) {
+      this.element = output
+    } else if (typeof output === 'string') {
+      this.element = new Audio()
+      this.ownsElement = true
+      if (typeof this.element.setSinkId === 'function') {
+        this.element
+          .setSinkId(output)
+          .catch((e) => warn('Failed to set mixer speaker', e, { output }))
+      }
+    } else {
+      // Follow the room's speaker selection
+      this.unregisterOutput = this.room.registerAudioOutput(this.destination)
+      return
+    }
+    this.element.srcObject = this.destination.stream
+    this.element.play().catch((e) => warn('Failed to play audio mix', e))
+  },
+  disconnectOutput() {
+    if (this.unregisterOutput) this.unregisterOutput()
+    if (this.element) {
+      if (this.ownsElement) this.element.pause()
+      this.element.srcObject = null
+    }
+    this.unregisterOutput = null
+    this.element = null
+    this.ownsElement = false
+  },
+  updateMedia(media) {
+    if (!this.isRunning || !this.shouldMix(media)) return
+    this.useMedia(media)
+    const entry = this.sources.get(media)
+    const track = media.track
+    if (entry && entry.track === track) return
+    this.disconnectMedia(media)
+    if (!track) return
+
+    const audioCtx = this.room.manager.audioCtx
+    const stream = new MediaStream([track])
+
+    // Chrome only delivers remote WebRTC audio to Web Audio while it is attached to an element
+    const element = new Audio()
+    element.muted = true
+    element.srcObject = stream
+
+    try {
+      const source = audioCtx.createMediaStreamSource(stream)
+      const gain = audioCtx.createGain()
+      gain.gain.value = this.getGain(media)
+      source.connect(gain)
+      gain.connect(this.master)
+      this.sources.set(media, { track, source, gain, element })
+    } catch (e) {
+      warn('Failed to mix audio media', e, { media: media.id })
+    }
+  },
+  useMedia(media) {
+    // Remote media are only received while something depends on them
+    if (!media.isRemote || this.usedMedia.has(media)) return
+    this.usedMedia.add(media)
+    media
+      .useTrack(this.dependantId)
+      .catch((e) => warn('Failed to use mixed media', e, { media: media.id }))
+  },
+  removeMedia(media) {
+    this.disconnectMedia(media)
+    if (this.usedMedia.delete(media)) media.stopUsingTrack(this.dependantId)
+  },
+  disconnectMedia(media) {
+    const entry = this.sources.get(media)
+    if (!entry) return
+    entry.source.disconnect()
+    entry.gain.disconnect()
+    entry.element.srcObject = null
+    this.sources.delete(media)
+  },
+  updateGains() {
+    this.sources.forEach((entry, media) => {
+      entry.gain.gain.value = this.getGain(media)
+    })
+  },
+  setMasterGain(gain) {
+    this.masterGain = Math.max(gain, 0)
+  },
+})
+
+/**
+  AudioMix sums a room's audio into a single MediaStream (e.g. for recording or restreaming).
+  All remote audio is mixed at full volume, plus the local microphone if `includeLocalMicrophone` is set.
+  Like the mixer, it holds each remote media with `useTrack()`, so media are received even if nothing renders them.
+  `stream` remains the same object if the AudioContext is replaced, but its track does not.
+*/
+const AudioMix = AudioMixer.extend({
+  props: {
+    includeLocalMicrophone: { type: 'boolean', setOnce: true },
+  },
+  initialize(...args) {
+    this.stream = new MediaStream()
+    AudioMixer.prototype.initialize.apply(this, args)
+  },
+  shouldMix(media) {
+    if (media.type === 'microphone' && !media.isRemote) {
+      return Boolean(this.includeLocalMicrophone)
+    }
+    return AudioMixer.prototype.shouldMix.call(this, media)
+  },
+  getGain() {
+    return 1
+  },
+  connectOutput() {
+    // The mix is only played by whoever uses the stream
+    this.stream.getTracks().forEach((x) => this.stream.removeTrack(x))
+    this.destination.stream
+      .getAudioTracks()
+      .forEach((x) => this.stream.addTrack(x))
+  },
+  disconnectOutput() {},
+})
+
+export { AudioMixer, AudioMix }
@@ -0,0 +1,128 @@
+'use strict'
+
+import State from 'ampersand-state'
+import debug from 'debug'
+
+const log = debug('Lightstream:WebRTC:Output')
+const warn = debug('Lightstream:WebRTC:Output (Warn)')
+
+const DEFAULT_SINK_ID = ''
+
+/**
+  AudioOutput routes all registered audio to a room's `speakerDeviceId`.
+  Targets may be media elements, AudioContexts (where `setSinkId` is supported),
+  or MediaStreamAudioDestinationNodes, which are played through a hidden element.
+  If the chosen speaker is unavailable, audio falls back to the system default.
+*/
+const AudioOutput = State.extend({
+  props: {
+    sinkId: ['string', true, DEFAULT_SINK_ID], // The sink currently applied to all targets
+    isOpen: ['boolean', true, false],
+  },
+  session: {
+    room: 'state',
+  },
+  initialize() {
+    this.targets = new Map() // Registered target => element receiving setSinkId
+    this.open()
+  },
+  open() {
+    if (this.isOpen) return
+    this.isOpen = true
+    this.listenTo(this.room, 'change:speakerDeviceId', () => this.update())
+    this.listenTo(this.room.manager.speakers, 'add remove reset', () =>
+      this.update(),
+    )
+    this.update()
+  },
+  register(target) {
+    if (!target || this.targets.has(target))
+      return () => this.unregister(target)
+
+    let sink = target
+    if (typeof AudioNode !== 'undefined' && target instanceof AudioNode) {
+      // Destination nodes can only be routed through an element
+      sink = new Audio()
+      sink.srcObject = target.stream
+      sink.play().catch((e) => warn('Failed to play audio destination', e))
+    }
+    this.targets.set(target, sink)
+    const sinkId = this.sinkId
+    this.applySinkId(sink, sinkId).then((applied) => {
+      if (applied !== sinkId && this.sinkId === sinkId) {
+        this.sinkId = DEFAULT_SINK_ID
+        this.reportFallback()
+      }
+    })
+
+    // Return a hook to stop routing the target
+    return () => this.unregister(target)
+  },
+  unregister(target) {
+    const sink = this.targets.get(target)
+    if (!sink) return
+    if (sink !== target) {
+      sink.pause()
+      sink.srcObject = null
+    }
+    this.targets.delete(target)
+  },
+  getAvailableSinkId() {
+    const { speakerDeviceId } = this.room
+    if (!speakerDeviceId) return DEFAULT_SINK_ID
+
+    // Device labels are hidden until permissions are granted,
+    //  so we can only verify availability once speakers are listed
+    const speakers = this.room.manager.speakers
+    if (speakers.length === 0 || speakers.get(speakerDeviceId)) {
+      return speakerDeviceId
+    }
+    return DEFAULT_SINK_ID
+  },
+  async update() {
+    const sinkId = this.getAvailableSinkId()
+    if (sinkId === this.sinkId) return
+    if (sinkId !== (this.room.speakerDeviceId || DEFAULT_SINK_ID)) {
+      this.reportFallback()
+    }
+    log('Routing audio output', { sinkId })
+    this.sinkId = sinkId
+    const applied = await Promise.all(
+      [...this.targets.values()].map((x) => this.applySinkId(x, sinkId)),
+    )
+    // Record the sink we actually reached, so that the next update() retries the speaker
+    if (this.sinkId === sinkId && applied.some((x) => x !== sinkId)) {
+      this.sinkId = DEFAULT_SINK_ID
+      this.reportFallback()
+    }
+  },
+  reportFallback() {
+    warn('Speaker is unavailable. Falling back to the default output.', {
+      speakerDeviceId: this.room.speakerDeviceId,
+    })
+    this.room.trigger('speakerfallback', {
+      speakerDeviceId: this.room.speakerDeviceId,
+    })
+  },
+  async applySinkId(sink, sinkId) {
+    // Resolves with the sinkId which the sink ends up using
+    if (typeof sink.setSinkId !== 'function') return sinkId
+    if (sink.sinkId === sinkId) return sinkId
+    try {
+      await sink.setSinkId(sinkId)
+      return sinkId
+    } catch (e) {
+      warn('setSinkId() failed', e, { sinkId })
+      if (sinkId === DEFAULT_SINK_ID) return sinkId
+      // The device may have been unplugged before we heard about it
+      return this.applySinkId(sink, DEFAULT_SINK_ID)
+    }
+  },
+  close() {
+    // Registered targets are kept, and routed again once reopened
+    this.stopListening()
+    this.isOpen = false
+  },
+})
+
+export default AudioOutput
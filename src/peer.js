@@ -16,6 +16,12 @@ const Peer = State.extend(Observable).extend({
     isScreenLive: ['boolean', true, false],
     isUser: ['boolean', true, false], // Is this a human peer or an external service feed?
     isVisible: ['boolean', true, false],
+    isSpeaking: ['boolean', true, false], // Detected locally from the peer's audio media
+    networkQuality: 'number', // 0 (no connection) to 5 (excellent), as measured by the peer
+    // Local playback through the room's mixer
+    volume: ['number', true, 1],
+    isMutedLocally: ['boolean', true, false],
+    isSolo: ['boolean', true, false], // While any peer is solo, only solo peers are heard
     userWebcamId: 'string', // The deviceId intended to be shared with other greenroom guests
     userMicrophoneId: 'string', // The deviceId intended to be shared with other greenroom guests
   },
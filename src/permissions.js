@@ -0,0 +1,127 @@
+'use strict'
+
+import State from 'ampersand-state'
+import debug from 'debug'
+
+const log = debug('Lightstream:WebRTC:Permissions')
+const warn = debug('Lightstream:WebRTC:Permissions (Warn)')
+
+const PERMISSION_STATE = {
+  prompt: 'prompt',
+  granted: 'granted',
+  denied: 'denied',
+  unavailable: 'unavailable',
+}
+const KINDS = ['camera', 'microphone', 'screen']
+const DENIED_ERRORS = [
+  'NotAllowedError',
+  'PermissionDeniedError',
+  'SecurityError',
+]
+const MISSING_ERRORS = ['NotFoundError', 'DevicesNotFoundError']
+
+const permissionProp = {
+  type: 'string',
+  required: true,
+  default: PERMISSION_STATE.prompt,
+  values: Object.keys(PERMISSION_STATE),
+}
+
+// Returns the permission kinds requested by a set of getUserMedia constraints
+const getKinds = (constraints = {}) => {
+  const kinds = []
+  if (constraints.audio) kinds.push('microphone')
+  if (constraints.video) {
+    kinds.push(constraints.video.mediaSource ? 'screen' : 'camera')
+  }
+  return kinds
+}
+
+/**
+  Permissions tracks the state of each kind of capture permission:
+  'prompt' | 'granted' | 'denied' | 'unavailable' (no device exists, or capture is unsupported).
+  The Permissions API is used where it exists, otherwise state is inferred from getUserMedia results.
+  Listen to `change:camera`, `change:microphone` or `change:screen` for updates.
+*/
+const Permissions = State.extend({
+  props: {
+    camera: permissionProp,
+    microphone: permissionProp,
+    screen: permissionProp,
+  },
+  initialize() {
+    // The permission granted by the user, and whether a device exists to use it
+    this.permission = {}
+    this.available = {}
+    KINDS.forEach((kind) => {
+      this.permission[kind] = PERMISSION_STATE.prompt
+      this.available[kind] = true
+    })
+  },
+  async watch() {
+    // Subscribe to the Permissions API (camera and microphone only)
+    if (this.watching) return this.watching
+    const { permissions } = navigator
+    if (!permissions || !permissions.query) return (this.watching = true)
+
+    this.watching = Promise.all(
+      ['camera', 'microphone'].map(async (kind) => {
+        try {
+          const status = await permissions.query({ name: kind })
+          const handleChange = () => this.setPermission(kind, status.state)
+          status.addEventListener
+            ? status.addEventListener('change', handleChange)
+            : (status.onchange = handleChange)
+          handleChange()
+        } catch (e) {
+          // Firefox and Safari may not recognize the permission name
+          log(`Permissions API does not support "${kind}"`, e)
+        }
+      }),
+    )
+    return this.watching
+  },
+  setPermission(kind, state) {
+    if (!PERMISSION_STATE[state] || state === PERMISSION_STATE.unavailable) {
+      return warn('Ignoring unknown permission state', { kind, state })
+    }
+    this.permission[kind] = state
+    this.sync(kind)
+  },
+  setAvailable(kind, isAvailable) {
+    this.available[kind] = Boolean(isAvailable)
+    this.sync(kind)
+  },
+  sync(kind) {
+    this[kind] = this.available[kind]
+      ? this.permission[kind]
+      : PERMISSION_STATE.unavailable
+  },
+  trackRequest(constraints, request) {
+    // Infer permission state from the result of a capture request
+    const kinds = getKinds(constraints)
+    return Promise.resolve(request).then(
+      (stream) => {
+        kinds.forEach((kind) => {
+          this.setAvailable(kind, true)
+          this.setPermission(kind, PERMISSION_STATE.granted)
+        })
+      },
+      (e) => {
+        const name = e && e.name
+        kinds.forEach((kind) => {
+          if (DENIED_ERRORS.includes(name)) {
+            this.setPermission(kind, PERMISSION_STATE.denied)
+          } else if (MISSING_ERRORS.includes(name)) {
+            this.setAvailable(kind, false)
+          }
+        })
+      },
+    )
+  },
+  isGranted(kind) {
+    return this[kind] === PERMISSION_STATE.granted
+  },
+})
+
+export { Permissions, PERMISSION_STATE }
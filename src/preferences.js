@@ -0,0 +1,92 @@
+'use strict'
+
+import State from 'ampersand-state'
+import debug from 'debug'
+import { pick } from 'lodash/fp'
+
+const warn = debug('Lightstream:WebRTC:Preferences (Warn)')
+
+const DEVICE_PROPS = ['deviceId', 'label', 'groupId']
+const PERSISTED_PROPS = [
+  'webcam',
+  'microphone',
+  'speaker',
+  'resolution',
+  'isHighFidelity',
+]
+
+const getStorage = () => {
+  // Access to localStorage throws in some privacy modes
+  try {
+    return window.localStorage
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+  DevicePreferences remembers the user's chosen webcam, microphone and speaker between sessions.
+  Browsers may rotate deviceIds, so devices are re-matched by deviceId, then label, then groupId.
+*/
+const DevicePreferences = State.extend({
+  props: {
+    storageKey: ['string', true, 'Lightstream:WebRTC:DevicePreferences'],
+    webcam: 'object', // { deviceId, label, groupId }
+    microphone: 'object',
+    speaker: 'object',
+    resolution: 'string', // Applied to the preferred webcam
+    isHighFidelity: 'boolean', // Applied to the preferred microphone
+  },
+  initialize() {
+    this.storage = getStorage()
+  },
+  load() {
+    try {
+      const saved = this.storage && this.storage.getItem(this.storageKey)
+      if (saved) this.set(pick(PERSISTED_PROPS)(JSON.parse(saved)))
+    } catch (e) {
+      warn('Failed to load device preferences', e)
+    }
+    return this
+  },
+  save() {
+    try {
+      this.storage &&
+        this.storage.setItem(
+          this.storageKey,
+          JSON.stringify(pick(PERSISTED_PROPS)(this)),
+        )
+    } catch (e) {
+      warn('Failed to save device preferences', e)
+    }
+    return this
+  },
+  clear() {
+    this.unset(PERSISTED_PROPS)
+    try {
+      this.storage && this.storage.removeItem(this.storageKey)
+    } catch (e) {
+      warn('Failed to clear device preferences', e)
+    }
+    return this
+  },
+  remember(type, device) {
+    // Remembering no device (e.g. the system default speaker) clears the preference
+    if (device) {
+      this.set(type, pick(DEVICE_PROPS)(device))
+    } else {
+      this.unset(type)
+    }
+    return this.save()
+  },
+  match(type, devices = []) {
+    // Returns the available device that best matches the stored preference
+    const preferred = this[type]
+    if (!preferred) return undefined
+    const byProp = (key) =>
+      preferred[key] && devices.find((x) => x[key] === preferred[key])
+    return byProp('deviceId') || byProp('label') || byProp('groupId')
+  },
+})
+
+export default DevicePreferences
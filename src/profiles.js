@@ -0,0 +1,53 @@
+'use strict'
+
+// Simulcast layers which may be received, from lowest to highest
+const PROFILES = ['low', 'medium', 'high']
+
+// The largest rendered dimension (in device pixels) which each layer is suited to
+const PROFILE_MAX_SIZE = {
+  low: 320,
+  medium: 640,
+  high: Infinity,
+}
+
+// Approximate bitrate (bps) of each layer, used to fit layers within the downlink
+const PROFILE_BITRATES = {
+  low: 150 * 1000,
+  medium: 500 * 1000,
+  high: 1500 * 1000,
+}
+
+// Leave headroom for audio and bandwidth estimate error
+const BANDWIDTH_USAGE = 0.85
+
+// Chooses the lowest layer which fills an element of the given CSS size
+const getProfileForSize = (size) => {
+  if (!size) return 'low'
+  const pixelRatio = window.devicePixelRatio || 1
+  const dimension = Math.max(size.width, size.height) * pixelRatio
+  return PROFILES.find((x) => dimension <= PROFILE_MAX_SIZE[x])
+}
+
+/**
+  Selects a profile for each rendered size.
+  Where the layers exceed the available bitrate, the smallest tiles are downgraded first.
+*/
+const selectProfiles = (sizes = [], availableBitrate) => {
+  const levels = sizes.map((x) => PROFILES.indexOf(getProfileForSize(x)))
+  if (availableBitrate) {
+    const area = (i) => (sizes[i] ? sizes[i].width * sizes[i].height : 0)
+    const budget = availableBitrate * BANDWIDTH_USAGE
+    const total = () =>
+      levels.reduce((acc, x) => acc + PROFILE_BITRATES[PROFILES[x]], 0)
+    const bySize = levels.map((x, i) => i).sort((a, b) => area(a) - area(b))
+
+    while (total() > budget) {
+      const index = bySize.find((i) => levels[i] > 0)
+      if (index === undefined) break
+      levels[index]--
+    }
+  }
+  return levels.map((x) => PROFILES[x])
+}
+
+export { PROFILES, PROFILE_BITRATES, getProfileForSize, selectProfiles }
@@ -0,0 +1,118 @@
+'use strict'
+
+import State from 'ampersand-state'
+import debug from 'debug'
+import { getPeerConnection, normalizeConnectionStats } from './stats'
+
+const log = debug('Lightstream:WebRTC:Quality')
+const warn = debug('Lightstream:WebRTC:Quality (Warn)')
+
+// Each metric lowers the score by the number of thresholds it exceeds
+const PENALTIES = {
+  packetLoss: [0.01, 0.03, 0.05, 0.1], // 0-1
+  rtt: [150, 300, 500, 1000], // ms
+  jitter: [30, 50, 100], // ms
+}
+
+const penalty = (thresholds, value) =>
+  value === undefined ? 0 : thresholds.filter((x) => value >= x).length
+
+/**
+  Scores transport samples from 0 (no connection) to 5 (excellent).
+  The worst metric of the worst transport decides the score.
+*/
+const scoreNetworkQuality = (samples = []) => {
+  if (samples.length === 0) return 0
+  const penalties = samples.map((sample) =>
+    Math.max(
+      ...Object.keys(PENALTIES).map((x) => penalty(PENALTIES[x], sample[x])),
+    ),
+  )
+  return Math.max(5 - Math.max(...penalties), 1)
+}
+
+/**
+  NetworkQualityMonitor periodically scores the local peer's send and receive transports.
+  The score is averaged over the last few samples and set as `room.networkQuality`.
+  Since the score is shared with every peer, it only changes once the average has moved
+  clearly past the current score, and at most once per `minChangeInterval` (except on disconnection).
+*/
+const NetworkQualityMonitor = State.extend({
+  props: {
+    interval: ['number', true, 2000], // ms between samples
+    sampleCount: ['number', true, 3], // Number of scores to average
+    hysteresis: ['number', true, 0.25], // How far past the rounding boundary the average must move
+    minChangeInterval: ['number', true, 10000], // ms between changes of the shared score
+  },
+  session: {
+    room: 'state',
+  },
+  initialize() {
+    this.counters = {} // Transport direction => counters of the previous report
+    this.scores = []
+    this.changedAt = 0
+  },
+  start() {
+    if (this.timer) return
+    log('Starting network quality monitor')
+    this.timer = window.setInterval(() => this.update(), this.interval)
+    this.update()
+  },
+  stop() {
+    window.clearInterval(this.timer)
+    this.timer = null
+    this.counters = {}
+    this.scores = []
+  },
+  async sample(direction, transport) {
+    const pc = getPeerConnection(transport)
+    if (!pc || transport.closed) return null
+
+    // A transport which has lost connectivity scores zero
+    if (['failed', 'disconnected'].includes(pc.iceConnectionState)) {
+      return { isDisconnected: true }
+    }
+    const report = await pc.getStats()
+    const [sample, counters] = normalizeConnectionStats(
+      report,
+      this.counters[direction],
+    )
+    this.counters[direction] = counters
+    return sample
+  },
+  async update() {
+    const { _sendTransport, _recvTransport } = this.room
+    try {
+      const samples = (
+        await Promise.all([
+          this.sample('send', _sendTransport),
+          this.sample('recv', _recvTransport),
+        ])
+      ).filter(Boolean)
+      if (!this.timer || samples.length === 0) return
+
+      const score = samples.some((x) => x.isDisconnected)
+        ? 0
+        : scoreNetworkQuality(samples)
+      this.scores = [...this.scores, score].slice(-this.sampleCount)
+      const average =
+        this.scores.reduce((acc, x) => acc + x, 0) / this.scores.length
+      this.publish(score === 0 ? 0 : average)
+    } catch (e) {
+      warn('Failed to sample network quality', e)
+    }
+  },
+  publish(average) {
+    const current = this.room.networkQuality
+    if (current !== undefined && average !== 0) {
+      if (Math.abs(average - current) < 0.5 + this.hysteresis) return
+      if (Date.now() - this.changedAt < this.minChangeInterval) return
+    }
+    const score = Math.round(average)
+    if (score === current) return
+    this.changedAt = Date.now()
+    this.room.networkQuality = score
+  },
+})
+
+export { NetworkQualityMonitor, scoreNetworkQuality }
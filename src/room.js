@@ -8,7 +8,18 @@ import randomstring from 'randomstring'
 import { PeerCollection, Peer } from './peer'
 import { MediaCollection, Media } from './media'
 import Message from './message'
+import AudioOutput from './output'
+import { AudioMixer, AudioMix } from './mixer'
 import Observable from './_observable'
+import { getPeerConnection, normalizeTransportStats } from './stats'
+import { NetworkQualityMonitor } from './quality'
+import { selectProfiles } from './profiles'
+import { allocateBitrates } from './bandwidth'
+import {
+  applyCodecOptions,
+  patchSendTransport,
+  enableStereoReceive,
+} from './codecs'
 import {
   whereEq,
   pickBy,
@@ -58,6 +69,23 @@ const partitionMatchingMedia = (values) =>
   pipe(filter(isAcceptableMedia(values)), partitionMedia)
 const watchers = {}
 
+const PUSH_TO_TALK_KEY_HOLD = 'PushToTalkKey'
+
+// Requests a host may make of a guest's media, by the type of media they affect
+const REMOTE_MEDIA_ACTIONS = {
+  muteMicrophone: 'microphone',
+  disableWebcam: 'webcam',
+  stopScreen: 'screen',
+}
+
+// Keys pressed while typing shouldn't count as push-to-talk
+const isTypingEvent = ({ target }) =>
+  Boolean(
+    target &&
+      (target.isContentEditable ||
+        /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)),
+  )
+
 async function getProtooUrl(peerId, roomId, hostname, port, attempt = 0) {
   try {
     const response = await fetch(
@@ -85,6 +113,7 @@ const Room = State.extend(Observable).extend({
     'isVisible',
     'userWebcamId',
     'userMicrophoneId',
+    'networkQuality',
   ],
   TRACK_PROPS_ROOM: ['id', 'isHost', 'displayName', 'guestCount', 'peerId'],
   TRACK_PROPS_TRANSPORT: ['id', '_settings'],
@@ -126,6 +155,38 @@ const Room = State.extend(Observable).extend({
     send: 'boolean',
     recv: 'boolean',
     statsEnabled: ['boolean', true, false],
+    simulcast: 'object', // Simulcast layers by media type, overriding the manager's
+    maxSendBitrate: 'number', // Total uplink budget (bps), spread across local media by priority
+    // { video: 'VP8' | 'VP9' | 'H264', opus: { stereo, dtx, fec, maxAverageBitrate, ptime } }
+    codecOptions: ['object', true, () => ({})],
+    networkQuality: 'number', // 0 (no connection) to 5 (excellent), measured from our transports
+    networkQualityThreshold: ['number', true, 2], // Warn when a peer's quality is below this...
+    networkQualityWarningDelay: ['number', true, 10000], // ...for this many ms
+    detectVoiceActivity: ['boolean', true, false], // Emit speaking events for every audio media
+    voiceActivity: ['object', true, () => ({})], // Options for each VoiceActivityDetector (thresholds, hangTime)
+    detectMutedSpeech: ['boolean', true, false], // Emit 'mutedSpeechDetected' when the user speaks while muted
+    pushToTalk: ['boolean', true, false], // Local microphones are only sent while push-to-talk is held
+    pushToTalkKey: ['string', true, 'Space'], // KeyboardEvent.code which holds push-to-talk
+    pushToTalkReleaseTail: ['number', true, 250], // ms to keep sending after push-to-talk is released
+    isPushToTalkActive: ['boolean', true, false],
+    mutedSpeech: ['object', true, () => ({})], // Detector options, plus minInterval (ms between events, default 10s)
+    // How a local media responds when its device disappears:
+    //  'auto' uses the next best device, 'sameGroup' only a device from the same physical group, 'none' closes the media
+    failoverPolicy: {
+      type: 'string',
+      required: true,
+      default: 'auto',
+      values: ['auto', 'sameGroup', 'none'],
+    },
+    // How a guest responds to host requests to mute/disable their media:
+    //  'comply' applies them immediately, 'consent' emits 'remoteMediaRequest' for the user to accept or decline
+    remoteMediaPolicy: {
+      type: 'string',
+      required: true,
+      default: 'comply',
+      values: ['comply', 'consent'],
+    },
+    remoteMediaConsentTimeout: ['number', true, 30000], // ms to wait for consent before declining
     eventLog: ['array', true, () => []], // A timeline of all events which have impacted the state of the room
     // Exception tracking
     hasStateMismatch: ['boolean', true, false],
@@ -163,10 +224,13 @@ const Room = State.extend(Observable).extend({
 
     const myPeerChangeEvents = map((x) => `change:${x}`)(this.SHARED_PROPS)
 
+    // Only changes to our own shared props are sent to other peers
+    const debouncedSendPeerData = debounce(600)(this.sendPeerData.bind(this))
     const localPeerChange = (props) => {
       this.myPeer.set(props)
       this.set(props)
       this.peers.trigger('change')
+      debouncedSendPeerData()
     }
 
     // Set local peer data
@@ -176,14 +240,12 @@ const Room = State.extend(Observable).extend({
     peerData.room = this
     this.myPeer = new Peer(peerData)
 
-    const debouncedSendPeerData = debounce(600)(this.sendPeerData.bind(this))
     this.myPeer.on(myPeerChangeEvents.join(' '), () =>
       localPeerChange(pick(this.SHARED_PROPS)(this.myPeer)),
     )
     this.on(myPeerChangeEvents.join(' '), () =>
       localPeerChange(pick(this.SHARED_PROPS)(this)),
     )
-    this.peers.on('change', debouncedSendPeerData, this)
 
     if (!this.displayName) {
       this.displayName = this.isHost ? 'Host' : 'Guest'
@@ -191,6 +253,81 @@ const Room = State.extend(Observable).extend({
 
     this.mediasoupRoom = new mediasoupClient.Room(ROOM_OPTIONS)
 
+    // Route all registered audio to the selected speaker
+    this.audioOutput = new AudioOutput({ room: this })
+
+    // Plays remote audio with per-peer volume, once started
+    this.mixer = new AudioMixer({ room: this })
+    this.audioMixes = {} // 'remote' or 'withMicrophone' => { mix, handles }
+
+    // Reflect voice activity on the peer which owns the media
+    this.listenTo(this.media, 'change:isSpeaking remove', (media) => {
+      const peer =
+        media.peerId === this.myPeer.id
+          ? this.myPeer
+          : this.peers.get(media.peerId)
+      if (!peer) return
+      const isSpeaking = this.media.some(
+        (x) => x.peerId === media.peerId && x.isSpeaking,
+      )
+      if (peer.isSpeaking === isSpeaking) return
+      peer.isSpeaking = isSpeaking
+      peer.trigger(isSpeaking ? 'speaking:start' : 'speaking:stop', peer)
+    })
+
+    // The latest normalized stats for each transport direction
+    this.transportStats = {}
+
+    // The CSS size each watcher renders its media at (by dependantId), used for 'auto' profiles
+    this.renderSizes = {}
+    this.scheduleAutoProfiles = debounce(250)(() => this.updateAutoProfiles())
+    this.on('transportstats', (direction) => {
+      if (direction === 'recv') this.scheduleAutoProfiles()
+    })
+
+    // Host requests awaiting a response: requestId => { peerId, finish }
+    this.pendingMediaRequests = new Map()
+
+    // Spread the uplink budget across local media as they start and stop sending
+    this.scheduleBandwidthRebalance = debounce(250)(() =>
+      this.rebalanceBandwidth(),
+    )
+    this.listenTo(this.media, 'change:state remove', (media) => {
+      if (!media.isRemote) this.scheduleBandwidthRebalance()
+    })
+    this.on('change:maxSendBitrate', this.scheduleBandwidthRebalance)
+
+    // Measure our network quality while connected, and warn about any peer with poor quality
+    this.networkMonitor = new NetworkQualityMonitor({ room: this })
+    this.on('change:state', () => {
+      if (this.state === STATE.connected) {
+        this.networkMonitor.start()
+      } else {
+        this.networkMonitor.stop()
+      }
+    })
+    this.lowNetworkQualityTimers = new Map()
+    this.listenTo(
+      this.myPeer,
+      'change:networkQuality',
+      this._checkNetworkQuality,
+    )
+    this.listenTo(
+      this.peers,
+      'change:networkQuality',
+      this._checkNetworkQuality,
+    )
+    this.listenTo(this.peers, 'remove', (peer) => {
+      window.clearTimeout(this.lowNetworkQualityTimers.get(peer))
+      this.lowNetworkQualityTimers.delete(peer)
+    })
+
+    // Push-to-talk may be held by the keyboard and any number of programmatic holds
+    this.pushToTalkHolds = new Set()
+    this.on('change:pushToTalk', this._onPushToTalkChange)
+    this.on('change:isPushToTalkActive', this.applyPushToTalk)
+    if (this.pushToTalk) this._onPushToTalkChange()
+
     this.on('change:userWebcamId', () => {
       this.addMedia({ type: 'webcam', deviceId: this.userWebcamId })
     })
@@ -210,6 +347,8 @@ const Room = State.extend(Observable).extend({
     log('Opening socket connection...', this.getTrackingProps())
 
     this.state = STATE.connecting
+    this.audioOutput.open()
+    if (this.pushToTalk) this._listenForPushToTalkKey()
 
     this.mediasoupRoom._settings.turnServers = await this.waitFor(
       'turnServers',
@@ -314,9 +453,11 @@ const Room = State.extend(Observable).extend({
     this.mediasoupRoom.on('newpeer', (peer) => {
       log('room "newpeer" event', peer)
       const reject = this._handlePeer(peer)
-      if (reject) {
-        this.sendEvent('kick', { id: peer.name })
-      } else if (peer.appData.isVisible && peer.appData.isUser) {
+      if (reject) return this.sendEvent('kick', { id: peer.name })
+
+      // The server only knows the props we joined with, so bring the new peer up to date
+      this.sendPeerData(peer.name)
+      if (peer.appData.isVisible && peer.appData.isUser) {
         this.notifyJoin(peer.appData.displayName)
       }
     })
@@ -358,14 +499,41 @@ const Room = State.extend(Observable).extend({
     this.logEvent('CloseRoom', { state: this.state })
     withIntentToLeave && this.exit(true)
     this.intentToJoin = false
+    // Push-to-talk listens on the window, and is resumed by open()
+    this._stopListeningForPushToTalkKey()
+    window.clearTimeout(this.pushToTalkReleaseTimeout)
+    this.pushToTalkHolds.clear()
+    this.isPushToTalkActive = false
     this.mediasoupRoom.leave()
     this.media.forEach((x) => x.close())
+    // The mixer keeps running, and remains registered with the audio output
+    // Audio mixes also keep running, so their streams resume if the room reopens
+    this.audioOutput.close()
     if (this.protoo) {
       this.protoo.removeAllListeners()
       this.protoo.close()
     }
     this.state = STATE.closed
   },
+  updateTurnServers(turnServers) {
+    // New transports are created with the room settings
+    this.mediasoupRoom._settings.turnServers = turnServers
+
+    // Open transports receive the new servers without renegotiating,
+    //  ensuring that the next ICE restart uses valid credentials
+    ;[this._sendTransport, this._recvTransport].forEach((transport) => {
+      const pc = getPeerConnection(transport)
+      if (!pc || typeof pc.setConfiguration !== 'function') return
+      try {
+        pc.setConfiguration({
+          ...pc.getConfiguration(),
+          iceServers: turnServers,
+        })
+      } catch (e) {
+        warn('Failed to update transport ICE servers', e)
+      }
+    })
+  },
   async _onJoin() {
     const handleTransportStateChange = (transport) => (state) => {
       if (state === 'connected') {
@@ -391,10 +559,19 @@ const Room = State.extend(Observable).extend({
       }
     }
 
-    // Override minptime on join
-    this.mediasoupRoom._extendedRtpCapabilities.codecs
-      .filter((x) => x.kind === 'audio')
-      .forEach((x) => (x.parameters.minptime = 40))
+    // Codec options must be applied before the transports copy the capabilities
+    applyCodecOptions(
+      this.mediasoupRoom._extendedRtpCapabilities,
+      this.codecOptions,
+    )
+
+    const handleTransportStats = (direction) => (stats) => {
+      this.transportStats = {
+        ...this.transportStats,
+        [direction]: normalizeTransportStats(stats, direction),
+      }
+      this.trigger('transportstats', direction, this.transportStats[direction])
+    }
 
     if (this.send) {
       this._sendTransport = this.mediasoupRoom.createTransport('send', {
@@ -404,6 +581,15 @@ const Room = State.extend(Observable).extend({
         'connectionstatechange',
         handleTransportStateChange(this._sendTransport),
       )
+      this._sendTransport.on('stats', handleTransportStats('send'))
+
+      // Each local audio media may negotiate its own Opus parameters
+      patchSendTransport(this._sendTransport, (track) => {
+        const media = this.media.find(
+          (x) => !x.isRemote && x.getSentTrack() === track,
+        )
+        return media && media.getOpusParameters()
+      })
     }
 
     // Create Transport for receiving.
@@ -415,6 +601,8 @@ const Room = State.extend(Observable).extend({
         'connectionstatechange',
         handleTransportStateChange(this._recvTransport),
       )
+      this._recvTransport.on('stats', handleTransportStats('recv'))
+      enableStereoReceive(this._recvTransport)
     }
 
     const peers = this.mediasoupRoom.peers
@@ -538,9 +726,9 @@ const Room = State.extend(Observable).extend({
       }
     }
   },
-  sendPeerData() {
+  sendPeerData(destinationPeerId = null) {
     const props = pick(this.SHARED_PROPS)(this.myPeer)
-    this.sendEvent('peerdata', props)
+    this.sendEvent('peerdata', props, destinationPeerId)
   },
   getTrackingProps() {
     return Object.assign({}, pick(this.TRACK_PROPS_ROOM, this), {
@@ -686,7 +874,7 @@ const Room = State.extend(Observable).extend({
       existing.close()
       existing.set(mediaData.consumer.appData)
       existing.consumer = mediaData.consumer
-      existing.state = 'preparing'
+      existing.transition('preparing', 'ConsumerReplaced')
       media.activate()
     } else {
       // Otherwise, receive it and then add it to our list of media
@@ -753,6 +941,10 @@ const Room = State.extend(Observable).extend({
       // Include a cast to MediaStream for convenience
       result.srcObject = track ? new MediaStream([track]) : null
 
+      // Size the received layer for the new media
+      if (options.renderSize)
+        this.setRenderSize(dependantId, options.renderSize)
+
       // Begin gathering audio level information if requested
       if (result.media && options.audioLevels && this.isHost) {
         result.media.useAudioLevels(dependantId, result.srcObject)
@@ -806,7 +998,226 @@ const Room = State.extend(Observable).extend({
         watchers[dependantId] || {},
       )
       watchers[dependantId] = null
+      delete this.renderSizes[dependantId]
+    }
+  },
+  setRenderSize(dependantId, size) {
+    // Watchers report the size of their element ({ width, height } in CSS pixels) as it changes
+    if (size) {
+      this.renderSizes[dependantId] = pick(['width', 'height'])(size)
+    } else {
+      delete this.renderSizes[dependantId]
+    }
+    this.scheduleAutoProfiles()
+  },
+  updateAutoProfiles() {
+    // Choose layers for every video received with the 'auto' profile
+    const media = this.media.filter(
+      (x) =>
+        x.preferredProfile === 'auto' &&
+        x.consumer &&
+        x.consumer.kind === 'video',
+    )
+    if (media.length === 0) return
+    const { availableBitrate } = this.transportStats.recv || {}
+    const profiles = selectProfiles(
+      media.map((x) => x.getRenderSize()),
+      availableBitrate,
+    )
+    log('updateAutoProfiles()', { profiles, availableBitrate })
+    media.forEach((x, i) => x.setConsumerProfile(profiles[i]))
+  },
+  _checkNetworkQuality(peer) {
+    const { networkQuality } = peer
+    const isLow =
+      networkQuality !== undefined &&
+      networkQuality < this.networkQualityThreshold
+    const timer = this.lowNetworkQualityTimers.get(peer)
+
+    if (!isLow) {
+      if (timer === undefined) return
+      window.clearTimeout(timer)
+      this.lowNetworkQualityTimers.delete(peer)
+      if (timer === null) this.trigger('networkQualityRecovered', peer)
+      return
+    }
+
+    // A null timer means the warning has already been emitted
+    if (timer !== undefined) return
+    this.lowNetworkQualityTimers.set(
+      peer,
+      window.setTimeout(() => {
+        this.lowNetworkQualityTimers.set(peer, null)
+        warn('Poor network quality', {
+          peerId: peer.id,
+          networkQuality: peer.networkQuality,
+        })
+        this.trigger('networkQualityWarning', peer)
+      }, this.networkQualityWarningDelay),
+    )
+  },
+  setMaxSendBitrate(bitrate) {
+    // Pass undefined to remove the budget
+    this.maxSendBitrate = bitrate
+  },
+  rebalanceBandwidth() {
+    const media = this.media.filter(
+      (x) =>
+        !x.isRemote && x.producer && !x.producer.closed && x.state === 'active',
+    )
+    const budget = this.maxSendBitrate
+    const bitrates = budget
+      ? allocateBitrates(
+          media.map((x) => ({
+            id: x.id,
+            type: x.type,
+            ...x.getBitrateLimits(),
+          })),
+          budget,
+        )
+      : new Map()
+    log('rebalanceBandwidth()', { budget, bitrates: [...bitrates] })
+    return Promise.all(media.map((x) => x.setMaxBitrate(bitrates.get(x.id))))
+  },
+  getAudioMix(options = {}) {
+    // Returns { stream, mix, release } for a MediaStream of all remote audio,
+    //  which updates as media join and leave the room (and is silent while the room is closed)
+    // Mixes are shared, and stopped once every handle has been released
+    const includeLocalMicrophone = Boolean(options.includeLocalMicrophone)
+    const key = includeLocalMicrophone ? 'withMicrophone' : 'remote'
+    let entry = this.audioMixes[key]
+    if (!entry) {
+      const mix = new AudioMix({ room: this, includeLocalMicrophone })
+      mix.start()
+      entry = this.audioMixes[key] = { mix, handles: 0 }
+    }
+    entry.handles++
+
+    let isReleased = false
+    const release = () => {
+      if (isReleased) return
+      isReleased = true
+      entry.handles--
+      if (entry.handles > 0) return
+      entry.mix.stop()
+      entry.mix.stream.getTracks().forEach((x) => x.stop())
+      delete this.audioMixes[key]
     }
+    return { stream: entry.mix.stream, mix: entry.mix, release }
+  },
+  registerAudioOutput(target) {
+    // Accepts a media element, AudioContext or MediaStreamAudioDestinationNode
+    // Returns a hook to stop routing the target to the selected speaker
+    return this.audioOutput.register(target)
+  },
+  pressToTalk(holdId = 'default') {
+    // Returns a hook to release the hold
+    window.clearTimeout(this.pushToTalkReleaseTimeout)
+    this.pushToTalkHolds.add(holdId)
+    this.isPushToTalkActive = true
+    return () => this.releaseToTalk(holdId)
+  },
+  releaseToTalk(holdId = 'default') {
+    this.pushToTalkHolds.delete(holdId)
+    if (this.pushToTalkHolds.size > 0) return
+
+    // Keep sending briefly so the end of a sentence isn't clipped
+    window.clearTimeout(this.pushToTalkReleaseTimeout)
+    this.pushToTalkReleaseTimeout = window.setTimeout(() => {
+      if (this.pushToTalkHolds.size === 0) this.isPushToTalkActive = false
+    }, this.pushToTalkReleaseTail)
+  },
+  isMutedByPushToTalk(media) {
+    return (
+      this.pushToTalk &&
+      !this.isPushToTalkActive &&
+      media.type === 'microphone' &&
+      !media.isRemote
+    )
+  },
+  getLocalMicrophones() {
+    return this.media.filter((x) => x.type === 'microphone' && !x.isRemote)
+  },
+  applyPushToTalk() {
+    if (!this.pushToTalk) return
+    // A microphone muted by a host stays muted until the user unmutes it themselves
+    this.getLocalMicrophones().forEach((x) => {
+      if (this.isPushToTalkActive && x.locallyPaused && !x.remotelyPaused) {
+        x.unpause()
+      }
+      if (!this.isPushToTalkActive && !x.locallyPaused) x.pause()
+    })
+  },
+  _onPushToTalkChange() {
+    log('Push-to-talk: ' + (this.pushToTalk ? 'enabled' : 'disabled'))
+    if (this.pushToTalk) {
+      // Remember manual pause state, to be restored when push-to-talk is disabled
+      this.getLocalMicrophones().forEach(
+        (x) => (x.pausedBeforePushToTalk = x.locallyPaused),
+      )
+      this._listenForPushToTalkKey()
+      return this.applyPushToTalk()
+    }
+
+    this._stopListeningForPushToTalkKey()
+    window.clearTimeout(this.pushToTalkReleaseTimeout)
+    this.pushToTalkHolds.clear()
+    this.isPushToTalkActive = false
+    this.getLocalMicrophones().forEach((x) => {
+      if (x.pausedBeforePushToTalk && !x.locallyPaused) x.pause()
+      if (!x.pausedBeforePushToTalk && x.locallyPaused && !x.remotelyPaused) {
+        x.unpause()
+      }
+      delete x.pausedBeforePushToTalk
+    })
+  },
+  _listenForPushToTalkKey() {
+    if (this.pushToTalkListeners) return
+    const release = () => this.releaseToTalk(PUSH_TO_TALK_KEY_HOLD)
+    this.pushToTalkListeners = {
+      keydown: (e) => {
+        if (e.code !== this.pushToTalkKey || e.repeat || isTypingEvent(e)) {
+          return
+        }
+        this.pressToTalk(PUSH_TO_TALK_KEY_HOLD)
+      },
+      keyup: (e) => {
+        if (e.code === this.pushToTalkKey) release()
+      },
+      // We won't receive keyup if the window loses focus
+      blur: release,
+    }
+    Object.keys(this.pushToTalkListeners).forEach((x) =>
+      window.addEventListener(x, this.pushToTalkListeners[x]),
+    )
+  },
+  _stopListeningForPushToTalkKey() {
+    if (!this.pushToTalkListeners) return
+    Object.keys(this.pushToTalkListeners).forEach((x) =>
+      window.removeEventListener(x, this.pushToTalkListeners[x]),
+    )
+    this.pushToTalkListeners = null
+  },
+  notifyMutedSpeech(media) {
+    // Rate limited, so the UI isn't asked to prompt the user constantly
+    const now = Date.now()
+    const { minInterval = 10 * 1000 } = this.mutedSpeech
+    if (this.lastMutedSpeechAt && now - this.lastMutedSpeechAt < minInterval) {
+      return
+    }
+    this.lastMutedSpeechAt = now
+    log('Speech detected while muted', { media: media.id })
+    this.trigger('mutedSpeechDetected', { media })
+  },
+  async setCameraFacing(facing) {
+    // Applies to the local webcam which is currently in use
+    const media = this.media.find(
+      (x) => x.type === 'webcam' && !x.isRemote && x.track,
+    )
+    if (!media) throw new Error('No local webcam is available to flip')
+    const deviceId = await media.setCameraFacing(facing)
+    this.manager.setUserWebcam(deviceId)
+    return media
   },
   getMatchingMedia(values = {}) {
     return this.media.find(isAcceptableMedia(values))
@@ -835,7 +1246,6 @@ const Room = State.extend(Observable).extend({
       id: randomstring.generate(),
       room: this,
       manager: this.manager,
-      simulcast: false,
     })
     this.media.add(media)
     media.triggerUpdate()
@@ -953,6 +1363,22 @@ const Room = State.extend(Observable).extend({
           if (props.peer) props.peer.set(props.data)
           break
         }
+        case 'muteMicrophone':
+        case 'disableWebcam':
+        case 'stopScreen': {
+          if (props.data.id === this.myPeer.id) {
+            this._handleRemoteMediaRequest(event, props)
+          }
+          break
+        }
+        case 'remoteMediaResponse': {
+          // Only the peer a request was sent to may answer it
+          const pending = this.pendingMediaRequests.get(props.data.requestId)
+          if (pending && props.peer && props.peer.id === pending.peerId) {
+            pending.finish(props.data)
+          }
+          break
+        }
         case 'enableStats': {
           this.enableStats(true)
           break
@@ -998,6 +1424,96 @@ const Room = State.extend(Observable).extend({
       this.sendEvent('disney')
     }
   },
+  muteMicrophone(peerId) {
+    return this.requestRemoteMedia('muteMicrophone', peerId)
+  },
+  disableWebcam(peerId) {
+    return this.requestRemoteMedia('disableWebcam', peerId)
+  },
+  stopScreen(peerId) {
+    return this.requestRemoteMedia('stopScreen', peerId)
+  },
+  requestRemoteMedia(action, peerId) {
+    // Resolves with { success, reason } once the guest responds
+    if (!this.isHost) {
+      return Promise.reject(new Error(`Only hosts may request ${action}`))
+    }
+    const requestId = randomstring.generate()
+    const peer = this.peers.get(peerId)
+    this.logEvent('RemoteMediaRequested', { action, peerId })
+
+    return new Promise((resolve) => {
+      // Allow the guest time to consent, plus some leeway for the response
+      const timeout = window.setTimeout(
+        () => finish({ success: false, reason: 'timeout' }),
+        this.remoteMediaConsentTimeout + 5000,
+      )
+      const finish = ({ success, reason }) => {
+        window.clearTimeout(timeout)
+        this.pendingMediaRequests.delete(requestId)
+        const result = { action, peer, success: Boolean(success), reason }
+        log('Remote media request completed', result)
+        this.trigger('remoteMediaResponse', result)
+        resolve(result)
+      }
+      this.pendingMediaRequests.set(requestId, { peerId, finish })
+      this.sendEvent(action, { requestId, id: peerId }, peerId)
+    })
+  },
+  async _handleRemoteMediaRequest(action, { peer, data }) {
+    const respond = (success, reason) =>
+      this.sendEvent(
+        'remoteMediaResponse',
+        { requestId: data.requestId, success, reason },
+        peer && peer.id,
+      )
+    if (!peer || !peer.isHost) return respond(false, 'unauthorized')
+
+    const type = REMOTE_MEDIA_ACTIONS[action]
+    const media = this.media.filter(
+      (x) => !x.isRemote && x.type === type && x.state !== 'inactive',
+    )
+    if (media.length === 0) return respond(false, 'notFound')
+
+    if (this.remoteMediaPolicy === 'consent') {
+      const isAccepted = await new Promise((resolve) => {
+        const timeout = window.setTimeout(
+          () => resolve(false),
+          this.remoteMediaConsentTimeout,
+        )
+        const answer = (value) => () => {
+          window.clearTimeout(timeout)
+          resolve(value)
+        }
+        this.trigger('remoteMediaRequest', {
+          action,
+          peer,
+          accept: answer(true),
+          decline: answer(false),
+        })
+      })
+      if (!isAccepted) return respond(false, 'declined')
+    }
+
+    this.logEvent('RemoteMediaRequestApplied', { action })
+    media.forEach((x) => x.pauseByRequest(action === 'stopScreen'))
+    return respond(true)
+  },
+  getStatsSnapshot() {
+    // The latest normalized stats for every media, including a rolling history
+    return {
+      timestamp: Date.now(),
+      transports: { ...this.transportStats },
+      media: this.media.map((x) => ({
+        id: x.id,
+        peerId: x.peerId,
+        type: x.type,
+        isRemote: x.isRemote,
+        ...x.stats.getSample(),
+        history: x.stats.history,
+      })),
+    }
+  },
   enableStats(silent = false) {
     this.statsEnabled = true
     this._sendTransport && this._sendTransport.enableStats(8 * 1000)
@@ -0,0 +1,93 @@
+'use strict'
+
+import debug from 'debug'
+
+const warn = debug('Lightstream:WebRTC:Simulcast (Warn)')
+
+// Simulcast layers, from lowest to highest
+const LAYERS = ['low', 'medium', 'high']
+
+// Each layer may set maxBitrate (bps), scaleResolutionDownBy and maxFramerate
+const DEFAULT_LAYERS = {
+  low: { maxBitrate: 150 * 1000, scaleResolutionDownBy: 4, maxFramerate: 15 },
+  medium: { maxBitrate: 500 * 1000, scaleResolutionDownBy: 2 },
+  high: { maxBitrate: 1500 * 1000, scaleResolutionDownBy: 1 },
+}
+
+// Simulcast settings by media type. `false` sends a single encoding.
+//  Simulcast is opt-in: set a type to `true` (DEFAULT_LAYERS) or to custom layers.
+//  Other types (e.g. audio) are never simulcast.
+const DEFAULT_SIMULCAST = {
+  webcam: false,
+  screen: false,
+  videoFeed: false,
+}
+
+/**
+  Resolves the simulcast layers for a media type.
+  Room settings take precedence over manager settings, and `true` uses the default layers.
+*/
+const getSimulcastLayers = (type, ...settings) => {
+  const config = settings.find((x) => x && x[type] !== undefined)
+  const layers = config ? config[type] : DEFAULT_SIMULCAST[type]
+  if (layers === true) return DEFAULT_LAYERS
+  return layers || false
+}
+
+// mediasoup only accepts the max bitrate of each layer
+const toProducerSimulcast = (layers) => {
+  if (!layers) return false
+  return LAYERS.reduce((acc, x) => {
+    if (layers[x]) {
+      acc[x] = layers[x].maxBitrate || DEFAULT_LAYERS[x].maxBitrate
+    }
+    return acc
+  }, {})
+}
+
+/**
+  Returns the layer name of each of a sender's encodings.
+  Firefox names its encodings by layer, otherwise they are ordered from lowest to highest.
+*/
+const getEncodingLayerNames = (encodings, layers) => {
+  const names =
+    encodings.length === LAYERS.length
+      ? LAYERS
+      : LAYERS.filter((x) => layers[x])
+  return encodings.map((encoding, i) =>
+    encoding.rid ? LAYERS.find((x) => encoding.rid.startsWith(x)) : names[i],
+  )
+}
+
+// Applies the scale, frame rate and bitrate of each layer to an RTCRtpSender
+const applySimulcastEncodings = async (sender, layers) => {
+  if (!sender || !layers || !sender.getParameters) return
+  const parameters = sender.getParameters()
+  const { encodings = [] } = parameters
+  if (encodings.length < 2) return
+  const names = getEncodingLayerNames(encodings, layers)
+
+  encodings.forEach((encoding, i) => {
+    const layer = layers[names[i]]
+    if (!layer) return
+    ;['maxBitrate', 'scaleResolutionDownBy', 'maxFramerate'].forEach((x) => {
+      if (layer[x] !== undefined) encoding[x] = layer[x]
+    })
+  })
+
+  try {
+    await sender.setParameters({ ...parameters, encodings })
+  } catch (e) {
+    warn('Failed to apply simulcast encodings', e)
+  }
+}
+
+export {
+  LAYERS as SIMULCAST_LAYERS,
+  DEFAULT_LAYERS,
+  DEFAULT_SIMULCAST,
+  getSimulcastLayers,
+  toProducerSimulcast,
+  getEncodingLayerNames,
+  applySimulcastEncodings,
+}
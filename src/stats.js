@@ -0,0 +1,208 @@
+'use strict'
+
+import State from 'ampersand-state'
+import Observable from './_observable'
+import { pick } from 'lodash/fp'
+
+const SAMPLE_PROPS = [
+  'timestamp',
+  'bitrate',
+  'packetLoss',
+  'jitter',
+  'rtt',
+  'framesPerSecond',
+  'width',
+  'height',
+  'freezeCount',
+  'freezeDuration',
+  'codec',
+  'availableBitrate',
+]
+
+const sum = (items, key) =>
+  items.reduce((acc, x) => acc + (Number(x[key]) || 0), 0)
+const max = (items, key) =>
+  items.reduce(
+    (acc, x) => (x[key] === undefined ? acc : Math.max(acc || 0, x[key])),
+    undefined,
+  )
+
+// Returns the RTCPeerConnection behind a mediasoup transport
+const getPeerConnection = (transport) =>
+  transport && transport._handler && transport._handler._pc
+
+// The ICE candidate pair which is carrying media
+const findCandidatePair = (stats) =>
+  stats.find(
+    (x) =>
+      x.type === 'candidate-pair' && x.nominated && x.state === 'succeeded',
+  )
+
+/**
+  Normalizes an RTCStatsReport from an RTCRtpSender or RTCRtpReceiver.
+  `previous` holds the counters from the last report, which are required to calculate rates.
+  Returns [sample, counters].
+*/
+const normalizeRtcStats = (report, previous = {}) => {
+  const all = []
+  report.forEach((x) => all.push(x))
+  const outbound = all.filter((x) => x.type === 'outbound-rtp' && !x.isRemote)
+  const inbound = all.filter((x) => x.type === 'inbound-rtp' && !x.isRemote)
+  const remoteInbound = all.filter((x) => x.type === 'remote-inbound-rtp')
+  const candidatePair = findCandidatePair(all)
+  const isOutbound = outbound.length > 0
+  const streams = isOutbound ? outbound : inbound
+  if (streams.length === 0) return [{}, previous]
+
+  // Simulcast senders report one stream per layer
+  const timestamp = max(streams, 'timestamp')
+  const counters = {
+    timestamp,
+    bytes: sum(streams, isOutbound ? 'bytesSent' : 'bytesReceived'),
+    packets: sum(streams, isOutbound ? 'packetsSent' : 'packetsReceived'),
+    packetsLost: sum(isOutbound ? remoteInbound : streams, 'packetsLost'),
+  }
+  const elapsed = (timestamp - previous.timestamp) / 1000
+  const hasPrevious = previous.timestamp !== undefined && elapsed > 0
+
+  const sample = { timestamp }
+  if (hasPrevious) {
+    sample.bitrate = Math.round(
+      (Math.max(counters.bytes - previous.bytes, 0) * 8) / elapsed,
+    )
+    const lost = Math.max(counters.packetsLost - previous.packetsLost, 0)
+    const packets = Math.max(counters.packets - previous.packets, 0)
+    // Sent packets include those which were lost, received packets do not
+    const expected = isOutbound ? packets : lost + packets
+    sample.packetLoss = expected > 0 ? Math.min(lost / expected, 1) : 0
+  }
+
+  // Jitter and RTT are reported in seconds
+  const jitter = max(isOutbound ? remoteInbound : streams, 'jitter')
+  if (jitter !== undefined) sample.jitter = Math.round(jitter * 1000)
+  const rtt =
+    max(remoteInbound, 'roundTripTime') ||
+    (candidatePair && candidatePair.currentRoundTripTime)
+  if (rtt !== undefined) sample.rtt = Math.round(rtt * 1000)
+
+  Object.assign(sample, {
+    framesPerSecond: max(streams, 'framesPerSecond'),
+    width: max(streams, 'frameWidth'),
+    height: max(streams, 'frameHeight'),
+    freezeCount: max(streams, 'freezeCount'),
+    freezeDuration: max(streams, 'totalFreezesDuration'),
+  })
+  const codec = streams[0].codecId && report.get(streams[0].codecId)
+  if (codec && codec.mimeType) sample.codec = codec.mimeType.split('/')[1]
+
+  return [sample, counters]
+}
+
+/**
+  Normalizes the RTCStatsReport of a whole RTCPeerConnection, aggregating every stream.
+  Includes the bandwidth estimate and RTT of the connection even when no media is flowing.
+*/
+const normalizeConnectionStats = (report, previous = {}) => {
+  const [sample, counters] = normalizeRtcStats(report, previous)
+  const all = []
+  report.forEach((x) => all.push(x))
+  const candidatePair = findCandidatePair(all)
+  if (!candidatePair) return [sample, counters]
+
+  const { currentRoundTripTime } = candidatePair
+  if (sample.rtt === undefined && currentRoundTripTime !== undefined) {
+    sample.rtt = Math.round(currentRoundTripTime * 1000)
+  }
+  const availableBitrate =
+    candidatePair.availableOutgoingBitrate ||
+    candidatePair.availableIncomingBitrate
+  if (availableBitrate) sample.availableBitrate = availableBitrate
+  return [{ timestamp: candidatePair.timestamp, ...sample }, counters]
+}
+
+// Normalizes the stats reported by the media server for a producer or consumer
+const normalizeServerStats = (stats = []) => {
+  const streams = [].concat(stats).filter(Boolean)
+  const sample = {}
+  const bitrate = max(streams, 'bitrate')
+  if (bitrate !== undefined) sample.bitrate = bitrate
+  const rtt = max(streams, 'roundTripTime')
+  if (rtt !== undefined) sample.rtt = Math.round(rtt)
+
+  // RTCP fraction lost is an 8-bit fixed point number
+  const fractionLost = max(streams, 'fractionLost')
+  if (fractionLost !== undefined) sample.packetLoss = fractionLost / 256
+  return sample
+}
+
+/**
+  Normalizes the stats reported by the media server for a transport.
+  The server names bitrates from its own perspective, so our uplink estimate is its incoming bitrate.
+  `availableBitrate` is the estimate for our direction ('send' or 'recv').
+*/
+const normalizeTransportStats = (stats = [], direction) => {
+  const transport = [].concat(stats)[0] || {}
+  return {
+    timestamp: transport.timestamp || Date.now(),
+    availableBitrate:
+      direction === 'send'
+        ? transport.availableIncomingBitrate
+        : transport.availableOutgoingBitrate,
+    availableOutgoingBitrate: transport.availableOutgoingBitrate,
+    availableIncomingBitrate: transport.availableIncomingBitrate,
+    bytesSent: transport.bytesSent,
+    bytesReceived: transport.bytesReceived,
+  }
+}
+
+/**
+  MediaStats holds the latest normalized stats for a Media, and a rolling history of samples.
+  Each value is a prop, so it may be observed with `streamOfProperty()`.
+  bitrate/availableBitrate: bps, packetLoss: 0-1, jitter/rtt: ms
+*/
+const MediaStats = State.extend(Observable).extend({
+  props: {
+    timestamp: 'number',
+    bitrate: 'number',
+    packetLoss: 'number',
+    jitter: 'number',
+    rtt: 'number',
+    framesPerSecond: 'number',
+    width: 'number',
+    height: 'number',
+    freezeCount: 'number',
+    freezeDuration: 'number',
+    codec: 'string',
+    availableBitrate: 'number',
+    history: ['array', true, () => []],
+    historySize: ['number', true, 30],
+  },
+  addSample(sample = {}) {
+    const latest = pick(SAMPLE_PROPS)({
+      ...this.getSample(),
+      ...pick(SAMPLE_PROPS)(sample),
+      timestamp: sample.timestamp || Date.now(),
+    })
+    this.set({
+      ...latest,
+      history: [...this.history, latest].slice(-this.historySize),
+    })
+    return latest
+  },
+  getSample() {
+    return pick(SAMPLE_PROPS)(this)
+  },
+  reset() {
+    this.unset(SAMPLE_PROPS)
+    this.history = []
+  },
+})
+
+export {
+  MediaStats,
+  getPeerConnection,
+  normalizeRtcStats,
+  normalizeConnectionStats,
+  normalizeServerStats,
+  normalizeTransportStats,
+}
@@ -0,0 +1,68 @@
+'use strict'
+
+import State from 'ampersand-state'
+import debug from 'debug'
+
+const log = debug('Lightstream:WebRTC:Tracks')
+
+/**
+  TrackRegistry reference counts the tracks captured from devices.
+  Each user acquires a handle to a track: either the source track itself (shared),
+  or a clone which may be enabled, disabled and stopped independently.
+  The source track (and with it, the device) is only stopped once every handle is released.
+*/
+const TrackRegistry = State.extend({
+  initialize() {
+    this.sources = new Map() // Source track => { shared: number, clones: Set }
+    this.clones = new Map() // Clone => source track
+  },
+  acquire(track, options = {}) {
+    if (!track) return null
+    const source = this.getSource(track)
+    const entry = this.sources.get(source) || { shared: 0, clones: new Set() }
+    this.sources.set(source, entry)
+
+    if (!options.clone) {
+      entry.shared++
+      return source
+    }
+    const clone = source.clone()
+    entry.clones.add(clone)
+    this.clones.set(clone, source)
+    return clone
+  },
+  release(track) {
+    if (!track) return
+    const source = this.getSource(track)
+    const entry = this.sources.get(source)
+
+    // Tracks we never handed out have no other users
+    if (!entry) return track.stop()
+
+    if (track === source) {
+      entry.shared = Math.max(entry.shared - 1, 0)
+    } else {
+      track.stop()
+      entry.clones.delete(track)
+      this.clones.delete(track)
+    }
+
+    if (entry.shared === 0 && entry.clones.size === 0) {
+      log('Stopping track with no remaining handles', { label: source.label })
+      source.stop()
+      this.sources.delete(source)
+    }
+  },
+  getSource(track) {
+    return this.clones.get(track) || track
+  },
+  getHandleCount(track) {
+    const entry = this.sources.get(this.getSource(track))
+    return entry ? entry.shared + entry.clones.size : 0
+  },
+  isAcquired(track) {
+    return this.getHandleCount(track) > 0
+  },
+})
+
+export default TrackRegistry
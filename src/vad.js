@@ -0,0 +1,49 @@
+'use strict'
+
+import State from 'ampersand-state'
+
+/**
+  VoiceActivityDetector decides whether a stream of RMS audio levels contains speech.
+  Speech starts once the level stays above `startThreshold` for `attackTime` ms,
+  and stops once it stays below `stopThreshold` for `hangTime` ms.
+  A lower stop threshold (hysteresis) prevents flapping between words.
+*/
+const VoiceActivityDetector = State.extend({
+  props: {
+    startThreshold: ['number', true, 0.03],
+    stopThreshold: ['number', true, 0.015],
+    attackTime: ['number', true, 80],
+    hangTime: ['number', true, 600],
+    isSpeaking: ['boolean', true, false],
+  },
+  initialize() {
+    this.aboveSince = null
+    this.lastVoiceAt = null
+  },
+  process(rms, now = Date.now()) {
+    if (!this.isSpeaking) {
+      if (rms < this.startThreshold) {
+        this.aboveSince = null
+        return this.isSpeaking
+      }
+      this.aboveSince = this.aboveSince || now
+      if (now - this.aboveSince >= this.attackTime) {
+        this.lastVoiceAt = now
+        this.isSpeaking = true
+      }
+    } else if (rms >= this.stopThreshold) {
+      this.lastVoiceAt = now
+    } else if (now - this.lastVoiceAt >= this.hangTime) {
+      this.aboveSince = null
+      this.isSpeaking = false
+    }
+    return this.isSpeaking
+  },
+  reset() {
+    this.aboveSince = null
+    this.lastVoiceAt = null
+    this.isSpeaking = false
+  },
+})
+
+export default VoiceActivityDetector
@@ -6,6 +6,12 @@ import { RoomCollection, Room } from './room'
 import DeviceModel from './device'
 import * as mediasoupClient from 'mediasoup-client'
 import Observable from './_observable'
+import { IceServerProvider } from './ice'
+import DevicePreferences from './preferences'
+import { Permissions } from './permissions'
+import { MediaTimeoutError, toMediaError } from './errors'
+import AudioLevelMeter from './metering'
+import TrackRegistry from './tracks'
 import flow from 'lodash/flow'
 import debug from 'debug'
 import { assign, map, filter, extend, groupBy, omit } from 'lodash/fp'
@@ -17,9 +23,10 @@ const GUM_DEFAULTS = {
 const log = debug('Lightstream:WebRTC')
 const warn = debug('Lightstream:WebRTC (Warn)')
 
-const getTurnServers = async device => {
-  return [{ urls: 'stun:stun.l.google.com:19302' }]
-}
+// Any of these events allow a suspended AudioContext to resume
+const USER_GESTURES = ['click', 'keydown', 'touchstart', 'pointerdown']
+
+const wait = ms => new Promise(resolve => window.setTimeout(resolve, ms))
 
 const WebRTC = State.extend(Observable).extend({
   props: {
@@ -27,14 +34,22 @@ const WebRTC = State.extend(Observable).extend({
     defaultPeerId: 'any',
     extensionUrl: 'string',
     turnServers: 'array',
+    iceServerProvider: 'state',
     devicesLoaded: ['boolean', true, false],
     defaultIsHost: ['boolean', true, false],
     isListeningForDevices: ['boolean', true, false],
     device: ['object', true, () => ({})],
     audioCtx: 'object',
+    audioContextState: ['string', true, 'suspended'], // suspended/running/interrupted/closed
     permissionsAccepted: ['boolean', true, false],
     userWebcamId: ['string', true, ''], // The deviceId intended to be shared with other greenroom guests
     userMicrophoneId: ['string', true, ''], // The deviceId intended to be shared with other greenroom guests
+    userSpeakerId: ['string', true, ''], // The 'audiooutput' deviceId (empty for the system default)
+    simulcast: ['object', true, () => ({})], // Simulcast layers by media type, overriding DEFAULT_SIMULCAST
+  },
+  children: {
+    preferences: DevicePreferences,
+    permissions: Permissions,
   },
   collections: {
     rooms: RoomCollection,
@@ -43,17 +58,147 @@ const WebRTC = State.extend(Observable).extend({
     speakers: Collection.extend({ model: DeviceModel }),
   },
   initialize() {
-    this.audioCtx = new (window.AudioContext ||
+    this.createAudioContext()
+    this.listenForAudioContextResume()
+    this.audioMeter = new AudioLevelMeter({ manager: this })
+    this.tracks = new TrackRegistry()
+    this.setIceServerProvider(new IceServerProvider())
+
+    // Track the permission state of each capture kind
+    this.permissions.watch()
+    ;['camera', 'microphone', 'screen'].forEach(kind => {
+      this.listenTo(this.permissions, `change:${kind}`, () => {
+        log('Permission state changed', { kind, state: this.permissions[kind] })
+        this.trigger('permissionchange', {
+          kind,
+          state: this.permissions[kind],
+          previous: this.permissions.previous(kind),
+        })
+      })
+    })
+
+    // Restore the devices chosen in a previous session
+    this.preferences.load()
+    this.listenTo(this.webcams, 'change:resolution', device => {
+      if (device.id === this.userWebcamId) {
+        this.preferences.set({ resolution: device.resolution }).save()
+      }
+    })
+    this.listenTo(this.microphones, 'change:isHighFidelity', device => {
+      if (device.id === this.userMicrophoneId) {
+        this.preferences.set({ isHighFidelity: device.isHighFidelity }).save()
+      }
+    })
+  },
+  createAudioContext() {
+    // Replacing the context (e.g. after an iOS interruption) triggers `change:audioCtx`,
+    //  which signals that all audio nodes must be rebuilt on the new context
+    const previous = this.audioCtx
+    const audioCtx = new (window.AudioContext ||
       window.webkitAudioContext ||
       Object)()
+    if (audioCtx.addEventListener) {
+      audioCtx.addEventListener('statechange', () =>
+        this.updateAudioContextState(audioCtx),
+      )
+    }
+    this.audioCtx = audioCtx
+    this.updateAudioContextState(audioCtx)
+
+    if (previous && previous.close && previous.state !== 'closed') {
+      previous.close().catch(warn)
+    }
+    return audioCtx
+  },
+  updateAudioContextState(audioCtx) {
+    if (audioCtx !== this.audioCtx || !audioCtx.state) return
+    log('AudioContext state: ' + audioCtx.state)
+    this.audioContextState = audioCtx.state
+  },
+  listenForAudioContextResume() {
+    const resume = () => {
+      if (this.audioContextState !== 'running') this.resumeAudioContext()
+    }
+    USER_GESTURES.forEach(x =>
+      document.addEventListener(x, resume, { capture: true, passive: true }),
+    )
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') resume()
+    })
+
+    // Attempt to start immediately, in case autoplay is allowed
+    this.resumeAudioContext()
+  },
+  async resumeAudioContext() {
+    if (!this.audioCtx.resume) return false
+    if (this.resumingAudioContext) return this.resumingAudioContext
+
+    this.resumingAudioContext = (async () => {
+      // resume() remains pending until the browser allows playback, so we don't wait forever
+      const attemptResume = () =>
+        Promise.race([this.audioCtx.resume().catch(warn), wait(1000)])
+
+      await attemptResume()
+
+      // iOS may leave the context unusable after an interruption (e.g. a phone call)
+      if (
+        this.audioCtx.state === 'interrupted' ||
+        this.audioCtx.state === 'closed'
+      ) {
+        warn('AudioContext did not recover. Recreating...')
+        this.createAudioContext()
+        await attemptResume()
+      }
+
+      const isRunning = this.audioCtx.state === 'running'
+      if (!isRunning) {
+        this.trigger('audiocontextblocked', { state: this.audioCtx.state })
+      }
+      return isRunning
+    })().then(result => {
+      this.resumingAudioContext = null
+      return result
+    })
+    return this.resumingAudioContext
   },
   async prepare() {
     if (this.prepared) return
     this.device = mediasoupClient.getDeviceInfo()
-    this.turnServers = await getTurnServers(this.device)
+    // Devices needn't wait for ICE servers, which may be slow to respond
     this.updateDevices()
+    this.turnServers = await this.iceServerProvider.refresh(this.device)
     return (this.prepared = true)
   },
+  setIceServerProvider(provider) {
+    // Accepts an IceServerProvider, or the options used to create one
+    if (!(provider instanceof IceServerProvider)) {
+      provider = new IceServerProvider(provider)
+    }
+    if (this.iceServerProvider) {
+      this.iceServerProvider.stop()
+      this.stopListening(this.iceServerProvider)
+    }
+    this.iceServerProvider = provider
+    this.listenTo(provider, 'change:servers', () =>
+      this.updateTurnServers(provider.servers),
+    )
+    this.listenTo(provider, 'error', error => {
+      // Existing servers remain in use, but credentials may soon expire
+      this.trigger('iceservererror', error)
+      this.rooms.forEach(x => x.trigger('iceservererror', error))
+    })
+
+    // Fetch credentials immediately if we're already in use
+    if (this.prepared) {
+      provider.refresh(this.device)
+    }
+    return provider
+  },
+  updateTurnServers(turnServers) {
+    log('updateTurnServers()', { turnServers })
+    this.turnServers = turnServers
+    this.rooms.forEach(x => x.updateTurnServers(turnServers))
+  },
   ensureRoom(id, settings = {}) {
     log('Getting webrtc room...', id)
     this.prepare()
@@ -71,6 +216,7 @@ const WebRTC = State.extend(Observable).extend({
             turnServers: this.turnServers,
             userWebcamId: this.userWebcamId,
             userMicrophoneId: this.userMicrophoneId,
+            speakerDeviceId: this.userSpeakerId,
             accept: {
               // Place no restrictions on media by default
               deviceId: null,
@@ -85,30 +231,57 @@ const WebRTC = State.extend(Observable).extend({
     }
     return room
   },
-  setUserWebcam(id) {
+  setUserWebcam(id, remember = true) {
     this.userWebcamId = id
     this.rooms.forEach(x => (x.userWebcamId = id))
+    const device = this.webcams.get(id)
+    if (remember && device) this.preferences.remember('webcam', device)
   },
-  setUserMicrophone(id) {
+  setUserMicrophone(id, remember = true) {
     this.userMicrophoneId = id
     this.rooms.forEach(x => (x.userMicrophoneId = id))
+    const device = this.microphones.get(id)
+    if (remember && device) this.preferences.remember('microphone', device)
+  },
+  setUserSpeaker(id, remember = true) {
+    this.userSpeakerId = id
+    this.rooms.forEach(x => (x.speakerDeviceId = id))
+    const device = this.speakers.get(id)
+    if (remember && (device || !id)) {
+      this.preferences.remember('speaker', device)
+    }
   },
 
   // UserMedia helpers
   getUserMedia(constraints, requestPermission = false) {
     log('getUserMedia()', { constraints })
     return new Promise(async (resolve, reject) => {
+      let timeout
+      let timedOut = false
       try {
         if (!requestPermission) {
           await this.waitFor('permissionsAccepted')
         }
 
         // Occasionally Firefox does not resolve or reject, so we reject on timeout
-        window.setTimeout(reject, 5000)
+        timeout = window.setTimeout(() => {
+          timedOut = true
+          reject(
+            new MediaTimeoutError('getUserMedia() timed out', { constraints }),
+          )
+        }, 5000)
+
+        const request = navigator.mediaDevices.getUserMedia(constraints)
+        this.permissions.trackRequest(constraints, request)
+        const stream = await request
+        window.clearTimeout(timeout)
 
-        return resolve(navigator.mediaDevices.getUserMedia(constraints))
+        // Release the devices if nobody is waiting for them anymore
+        if (timedOut) return stream.getTracks().forEach(x => x.stop())
+        return resolve(stream)
       } catch (e) {
-        reject(e)
+        window.clearTimeout(timeout)
+        reject(toMediaError(e, { constraints }))
       }
     })
   },
@@ -138,6 +311,9 @@ const WebRTC = State.extend(Observable).extend({
         : x
     const extendDetails = x => extend({ id: x.deviceId, webrtc: this })(x)
     const deviceList = await navigator.mediaDevices.enumerateDevices()
+    const hasDeviceOfKind = kind => deviceList.some(x => x.kind === kind)
+    this.permissions.setAvailable('camera', hasDeviceOfKind('videoinput'))
+    this.permissions.setAvailable('microphone', hasDeviceOfKind('audioinput'))
     const devices = flow(
       filter(x => x.deviceId),
       map(extendWebcamDirection),
@@ -150,16 +326,7 @@ const WebRTC = State.extend(Observable).extend({
     this.speakers.set(devices.audiooutput)
     this.webcams.set(devices.videoinput)
 
-    const hasValidUserWebcam =
-      this.userWebcamId && this.webcams.get(this.userWebcamId)
-    if (!hasValidUserWebcam && this.webcams.models[0]) {
-      this.setUserWebcam(this.webcams.models[0].id)
-    }
-    const hasValidUserMicrophone =
-      this.userMicrophoneId && this.microphones.get(this.userMicrophoneId)
-    if (!hasValidUserMicrophone && this.microphones.models[0]) {
-      this.setUserMicrophone(this.microphones.models[0].id)
-    }
+    this.restorePreferredDevices()
 
     this.devicesLoaded = true
 
@@ -172,13 +339,55 @@ const WebRTC = State.extend(Observable).extend({
     //  An arbitrary timeout allows views to claim ownership of the track if needed,
     //  otherwise browsers like Firefox will request permissions again.
     window.setTimeout(() => {
-      tracks.filter(x => !activeTracks.includes(x)).forEach(x => x.stop())
+      tracks
+        .filter(x => !activeTracks.includes(x) && !this.tracks.isAcquired(x))
+        .forEach(x => x.stop())
     }, 3000)
 
     this.updatingDevices = false
     this.permissionsAccepted = permissions
     return true
   },
+  restorePreferredDevices() {
+    // Prefer the current selection, then the stored preference, then the first available device
+    const { preferences } = this
+    const restore = (collection, currentId, type, setter) => {
+      if (currentId && collection.get(currentId)) return
+      const preferred = preferences.match(type, collection.models)
+      if (preferred) {
+        // Re-remember in case the deviceId has rotated
+        setter.call(this, preferred.id, true)
+      } else if (collection.models[0]) {
+        setter.call(this, collection.models[0].id, false)
+      }
+    }
+    restore(this.webcams, this.userWebcamId, 'webcam', this.setUserWebcam)
+    restore(
+      this.microphones,
+      this.userMicrophoneId,
+      'microphone',
+      this.setUserMicrophone,
+    )
+
+    // An unset speaker routes audio to the system default
+    const preferredSpeaker = preferences.match('speaker', this.speakers.models)
+    if (this.userSpeakerId && !this.speakers.get(this.userSpeakerId)) {
+      this.setUserSpeaker('', false)
+    }
+    if (!this.userSpeakerId && preferredSpeaker) {
+      this.setUserSpeaker(preferredSpeaker.id, true)
+    }
+
+    // Apply the stored device settings to the selected devices
+    const webcam = this.webcams.get(this.userWebcamId)
+    if (webcam && preferences.resolution) {
+      webcam.resolution = preferences.resolution
+    }
+    const microphone = this.microphones.get(this.userMicrophoneId)
+    if (microphone && preferences.isHighFidelity !== undefined) {
+      microphone.isHighFidelity = preferences.isHighFidelity
+    }
+  },
   getModelForMedia(media) {
     let model
     ;['webcams', 'microphones', 'speakers'].find(mediaCollectionKey => {
@@ -202,6 +411,16 @@ const WebRTC = State.extend(Observable).extend({
     const devices = this.getDevicesByType(type)
     return devices.find(x => !deviceId || x.deviceId === deviceId)
   },
+  getFailoverDevice(type, options = {}) {
+    // Ranks replacements for a lost device: same groupId, then the system default, then the first available
+    const { groupId, excludeId, sameGroupOnly = false } = options
+    const devices = this.getDevicesByType(type).filter(x => x.id !== excludeId)
+    const sameGroup = groupId && devices.find(x => x.groupId === groupId)
+    if (sameGroupOnly) return sameGroup
+    return (
+      sameGroup || devices.find(x => x.deviceId === 'default') || devices[0]
+    )
+  },
   async ensurePermissionState() {
     // Returns a tuple of [boolean<accepted>, MediaStreamTrack[]]
     const actionlessResult = [true, []]
@@ -259,14 +478,20 @@ const WebRTC = State.extend(Observable).extend({
       navigator.mediaDevices.getDisplayMedia &&
       (browser === 'chrome' || browser === 'edge' || browser === 'safari')
     ) {
-      stream = await navigator.mediaDevices.getDisplayMedia({
-        video: screen,
-        ...constraints,
+      constraints = { video: screen, ...constraints }
+      const request = navigator.mediaDevices.getDisplayMedia(constraints)
+      this.permissions.trackRequest(
+        { video: { mediaSource: 'screen' } },
+        request,
+      )
+      stream = await request.catch(e => {
+        throw toMediaError(e, { constraints })
       })
     } else if (browser === 'firefox') {
       constraints = { video: { mediaSource: 'screen' }, audio: false }
       stream = await this.getUserMedia(constraints)
     } else {
+      this.permissions.setAvailable('screen', false)
       return false
     }
 
@@ -305,4 +530,15 @@ const WebRTC = State.extend(Observable).extend({
   },
 })
 
+export { IceServerProvider }
+export {
+  MediaAcquisitionError,
+  MediaTimeoutError,
+  DeviceInUseError,
+  DeviceNotFoundError,
+  DeviceOverconstrainedError,
+  PermissionDeniedError,
+  HardwareError,
+} from './errors'
+export { DEFAULT_SIMULCAST } from './simulcast'
 export default new WebRTC()